@@ -1,6 +1,9 @@
 // src/config/config.js
 module.exports = {
     MAX_QUESTIONS: 5,
+    // Default duplicate and prefilter thresholds; banks override them (PATCH /banks/:id
+    // or POST /calibrate with save=true)
     SIMILARITY_THRESHOLD: 0.85,
+    PREFILTER_THRESHOLD: 0.6,
     QUESTIONS_FILE: './questions.json',
-};
\ No newline at end of file
+};
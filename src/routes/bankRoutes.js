@@ -0,0 +1,60 @@
+// src/routes/bankRoutes.js
+const express = require('express');
+const { logger } = require('../utils/logger');
+
+const sendError = (res, error, action) => {
+    if (!error.status) logger.error(`Error ${action}`, { error });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+};
+
+// Create, list, inspect, update and delete question banks. The bank-scoped check and
+// upload routes live under /banks/:bankId as well but are mounted by the server.
+// describeBank(bank) returns the bank's storage, cache and index statistics.
+const createBankRoutes = ({ banks, describeBank }) => {
+    const router = express.Router();
+
+    router.get('/banks', (req, res) => {
+        const list = banks.list();
+        res.json({ success: true, count: list.length, banks: list });
+    });
+
+    router.post('/banks', async (req, res) => {
+        try {
+            const meta = await banks.create(req.body || {});
+            res.status(201).json({ success: true, bank: meta });
+        } catch (error) {
+            sendError(res, error, 'creating question bank');
+        }
+    });
+
+    router.get('/banks/:bankId', async (req, res) => {
+        try {
+            const bank = await banks.get(req.params.bankId);
+            res.json({ success: true, bank: await describeBank(bank) });
+        } catch (error) {
+            sendError(res, error, 'reading question bank');
+        }
+    });
+
+    router.patch('/banks/:bankId', async (req, res) => {
+        try {
+            const meta = await banks.update(req.params.bankId, req.body || {});
+            res.json({ success: true, bank: meta });
+        } catch (error) {
+            sendError(res, error, 'updating question bank');
+        }
+    });
+
+    router.delete('/banks/:bankId', async (req, res) => {
+        try {
+            await banks.remove(req.params.bankId);
+            res.json({ success: true, message: `Question bank "${req.params.bankId}" deleted` });
+        } catch (error) {
+            sendError(res, error, 'deleting question bank');
+        }
+    });
+
+    return router;
+};
+
+module.exports = createBankRoutes;
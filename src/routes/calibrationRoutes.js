@@ -0,0 +1,110 @@
+// src/routes/calibrationRoutes.js
+const express = require('express');
+const fs = require('fs').promises;
+const { FORMAT_NAMES, detectFormat, readWorkbook } = require('../services/formats');
+const { workbookToRecords } = require('../services/formats/table');
+const { readLabelledPairs } = require('../services/calibrationService');
+const { DEFAULT_BANK_ID } = require('../services/bankRegistry');
+const { logger } = require('../utils/logger');
+
+const SCORER_NAMES = ['lexical', 'embedding', 'llm'];
+
+const badRequest = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+};
+
+// Options from a JSON body or multipart fields (where every value is a string)
+const readOptions = (body = {}) => {
+    const scorers = body.scorers === undefined
+        ? SCORER_NAMES
+        : (Array.isArray(body.scorers) ? body.scorers : String(body.scorers).split(',')).map((s) => String(s).trim());
+    const unknown = scorers.filter((name) => !SCORER_NAMES.includes(name));
+    if (unknown.length > 0) throw badRequest(`scorers must be drawn from: ${SCORER_NAMES.join(', ')}`);
+    if (!scorers.includes('lexical')) throw badRequest('scorers must include lexical, which the prefilter uses');
+
+    const targetRecall = body.targetRecall === undefined ? null : Number(body.targetRecall);
+    if (targetRecall !== null && (!Number.isFinite(targetRecall) || targetRecall <= 0 || targetRecall > 1)) {
+        throw badRequest('targetRecall must be a number in (0, 1]');
+    }
+
+    return {
+        scorers: [...new Set(scorers)],
+        targetRecall,
+        save: body.save === true || body.save === 'true',
+    };
+};
+
+// Threshold calibration from labelled question pairs, as a background job because judging
+// every pair can take many calls. Pairs come as a JSON body ({ pairs: [{ question1,
+// question2, label }] }) or an uploaded CSV/XLSX/JSONL file with the same columns. With
+// save=true the recommended thresholds become the bank's configuration; the server's route
+// rules keep the whole route to admins.
+const createCalibrationRoutes = ({ jobService, upload, banks, maxPairs }) => {
+    const router = express.Router({ mergeParams: true });
+
+    const removeUpload = (file) => {
+        if (file) fs.unlink(file.path).catch((err) => logger.error('Could not remove upload', { error: err }));
+    };
+
+    router.post('/calibrate', upload.single('file'), async (req, res) => {
+        const bankId = req.params.bankId || DEFAULT_BANK_ID;
+        let options;
+        let pairs;
+        try {
+            if (!banks.has(bankId)) {
+                const err = new Error(`Question bank "${bankId}" not found`);
+                err.status = 404;
+                throw err;
+            }
+            options = readOptions(req.body || {});
+
+            let records;
+            if (req.file) {
+                const format = detectFormat(req.file.path, req.file.originalname);
+                if (!['xlsx', 'csv', 'jsonl'].includes(format)) {
+                    throw badRequest(`Labelled pairs must be xlsx, csv or jsonl (got ${format}; formats: ${FORMAT_NAMES.join(', ')})`);
+                }
+                try {
+                    records = workbookToRecords(readWorkbook(req.file.path, format));
+                } catch (err) {
+                    throw badRequest(`Could not read labelled pairs: ${err.message}`);
+                }
+            } else {
+                records = (req.body || {}).pairs;
+            }
+            pairs = readLabelledPairs(records);
+            if (pairs.length > maxPairs) throw badRequest(`At most ${maxPairs} labelled pairs can be calibrated at once`);
+        } catch (error) {
+            removeUpload(req.file);
+            return res.status(error.status || 400).json({ success: false, error: error.message });
+        }
+        removeUpload(req.file);
+
+        try {
+            const job = await jobService.create({
+                type: 'calibration',
+                bankId,
+                pairs,
+                scorers: options.scorers,
+                targetRecall: options.targetRecall,
+                save: options.save,
+            });
+            res.status(202).json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                pairs: pairs.length,
+                statusUrl: `/jobs/${job.id}`,
+            });
+        } catch (error) {
+            logger.error('Error starting calibration job', { error });
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
+
+module.exports = createCalibrationRoutes;
@@ -0,0 +1,107 @@
+// src/routes/clusterRoutes.js
+const express = require('express');
+const fs = require('fs').promises;
+const { CANONICAL_RULES } = require('../services/clusterService');
+const { parseIngestOptions } = require('../utils/ingestOptions');
+const { FORMAT_NAMES, detectFormat } = require('../services/formats');
+const { DEFAULT_BANK_ID } = require('../services/bankRegistry');
+const { logger } = require('../utils/logger');
+
+// Cluster reports can take many judge calls, so both routes start a background job.
+// Mounted at the root for the default bank and under /banks/:bankId for a named one,
+// whose thresholds and verdict cache the job uses.
+const createClusterRoutes = ({ jobService, upload, banks }) => {
+    const router = express.Router({ mergeParams: true });
+
+    const bankNotFound = (req, res) => {
+        const bankId = req.params.bankId || DEFAULT_BANK_ID;
+        if (banks.has(bankId)) return false;
+        res.status(404).json({ success: false, error: `Question bank "${bankId}" not found` });
+        return true;
+    };
+
+    const readRule = (body) => {
+        const rule = (body && body.rule) || 'earliest';
+        if (!CANONICAL_RULES.includes(rule)) {
+            throw new Error(`rule must be one of: ${CANONICAL_RULES.join(', ')}`);
+        }
+        return rule;
+    };
+
+    const accepted = (res, job) => res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`,
+    });
+
+    // Cluster the whole stored bank
+    router.post('/clusters', async (req, res) => {
+        if (bankNotFound(req, res)) return;
+        let rule;
+        try {
+            rule = readRule(req.body);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        try {
+            const job = await jobService.create({
+                type: 'clusters',
+                source: 'bank',
+                bankId: req.params.bankId || DEFAULT_BANK_ID,
+                rule,
+            });
+            accepted(res, job);
+        } catch (error) {
+            logger.error('Error starting cluster job', { error });
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Cluster an uploaded sheet without touching the stored bank
+    router.post('/clusters/upload', upload.single('file'), async (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No file uploaded' });
+        }
+        if (bankNotFound(req, res)) {
+            fs.unlink(req.file.path).catch((err) => logger.error('Could not remove upload', { error: err }));
+            return;
+        }
+
+        let rule;
+        let ingest;
+        try {
+            rule = readRule(req.body);
+            ingest = parseIngestOptions(req.body);
+            ingest.format = ingest.format || detectFormat(req.file.path, req.file.originalname);
+            if (!FORMAT_NAMES.includes(ingest.format)) {
+                throw new Error(`format must be one of: ${FORMAT_NAMES.join(', ')}`);
+            }
+        } catch (error) {
+            fs.unlink(req.file.path).catch((err) => logger.error('Could not remove upload', { error: err }));
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        try {
+            const job = await jobService.create({
+                type: 'clusters',
+                source: 'upload',
+                bankId: req.params.bankId || DEFAULT_BANK_ID,
+                rule,
+                ingest,
+                filePath: req.file.path,
+                originalName: req.file.originalname,
+            });
+            accepted(res, job);
+        } catch (error) {
+            logger.error('Error starting cluster job', { error });
+            fs.unlink(req.file.path).catch((err) => logger.error('Could not remove upload', { error: err }));
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
+
+module.exports = createClusterRoutes;
@@ -0,0 +1,63 @@
+// src/routes/jobRoutes.js
+const express = require('express');
+const { logger } = require('../utils/logger');
+
+const summarize = (job) => ({
+    id: job.id,
+    status: job.status,
+    fileName: job.input.originalName,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress,
+    cancelRequested: Boolean(job.cancelRequested),
+    error: job.error,
+    result: job.result,
+});
+
+// Jobs are visible to the client that created them (`clientIdOf(req)` is compared with
+// job.owner) and to admins; to anyone else they do not exist.
+const createJobRoutes = ({ jobService, clientIdOf }) => {
+    const router = express.Router();
+
+    const findJob = (req) => {
+        const job = jobService.get(req.params.id);
+        if (!job) return null;
+        const isAdmin = Boolean(req.auth) && req.auth.role === 'admin';
+        return isAdmin || job.owner === clientIdOf(req) ? job : null;
+    };
+
+    router.get('/jobs/:id', (req, res) => {
+        const job = findJob(req);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        res.json({ success: true, job: summarize(job) });
+    });
+
+    router.delete('/jobs/:id', async (req, res) => {
+        try {
+            const existing = findJob(req);
+            if (!existing) {
+                return res.status(404).json({ success: false, error: 'Job not found' });
+            }
+            if (!jobService.isActive(existing)) {
+                return res.status(409).json({
+                    success: false,
+                    error: `Job already ${existing.status}`,
+                    job: summarize(existing),
+                });
+            }
+
+            const job = await jobService.cancel(req.params.id);
+            res.status(202).json({ success: true, job: summarize(job) });
+        } catch (error) {
+            logger.error('Error cancelling job', { error });
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
+
+module.exports = createJobRoutes;
@@ -0,0 +1,57 @@
+// src/routes/previewRoutes.js
+const express = require('express');
+const { logger } = require('../utils/logger');
+
+// Dry-run previews from /check-batch and /upload. Committing applies the live run's side
+// effects to the chosen rows: applyRows(preview, rows) stores "store" rows (or notes the
+// question that has since taken their place), queues "review" rows and returns one outcome
+// per row, recorded on the preview. Like jobs,
+// previews are visible only to their owner (`clientIdOf(req)`) and to admins.
+const createPreviewRoutes = ({ previewStore, applyRows, clientIdOf }) => {
+    const router = express.Router();
+
+    const findPreview = (req) => {
+        const preview = previewStore.get(req.params.previewId);
+        if (!preview) return null;
+        const isAdmin = Boolean(req.auth) && req.auth.role === 'admin';
+        return isAdmin || preview.owner === clientIdOf(req) ? preview : null;
+    };
+
+    router.get('/previews/:previewId', (req, res) => {
+        const preview = findPreview(req);
+        if (!preview) {
+            return res.status(404).json({ success: false, error: 'Preview not found or expired' });
+        }
+        res.json({ success: true, preview });
+    });
+
+    // Body: { rows?: [row numbers from the preview] }; without rows every committable
+    // row not committed yet is applied
+    router.post('/commit/:previewId', async (req, res) => {
+        const { rows } = req.body || {};
+        if (rows !== undefined && (!Array.isArray(rows) || rows.some((n) => !Number.isInteger(n) || n < 0))) {
+            return res.status(400).json({ success: false, error: 'rows must be an array of preview row numbers' });
+        }
+        if (!findPreview(req)) {
+            return res.status(404).json({ success: false, error: 'Preview not found or expired' });
+        }
+
+        try {
+            const { preview, committed } = await previewStore.commit(req.params.previewId, rows || [], applyRows);
+            res.json({
+                success: true,
+                previewId: preview.id,
+                bankId: preview.bankId,
+                committed: committed.map((row) => ({ row: row.row, question: row.question, ...row.committed })),
+                remaining: preview.rows.filter((row) => row.action !== 'skip' && !row.committed).length,
+            });
+        } catch (error) {
+            if (!error.status) logger.error('Error committing preview', { error });
+            res.status(error.status || 500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+};
+
+module.exports = createPreviewRoutes;
@@ -0,0 +1,59 @@
+// src/routes/reviewRoutes.js
+const express = require('express');
+const { REVIEW_STATUSES } = require('../services/reviewQueue');
+const { DEFAULT_BANK_ID } = require('../services/bankRegistry');
+const { logger } = require('../utils/logger');
+
+// applyAccept/applyReject(review) push the decision into the question store and
+// any cleaned workbook; whatever they return is recorded with the decision
+const createReviewRoutes = ({ reviewQueue, applyAccept, applyReject }) => {
+    const router = express.Router();
+
+    router.get('/reviews', (req, res) => {
+        const status = req.query.status || 'pending';
+        if (status !== 'all' && !REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of: all, ${REVIEW_STATUSES.join(', ')}`,
+            });
+        }
+
+        const reviews = reviewQueue.list({
+            status: status === 'all' ? null : status,
+            bankId: req.query.bankId || null,
+            defaultBankId: DEFAULT_BANK_ID,
+        });
+        res.json({ success: true, count: reviews.length, reviews });
+    });
+
+    router.get('/reviews/:id', (req, res) => {
+        const review = reviewQueue.get(req.params.id);
+        if (!review) {
+            return res.status(404).json({ success: false, error: 'Review not found' });
+        }
+        res.json({ success: true, review });
+    });
+
+    const decisionRoute = (status, apply) => async (req, res) => {
+        const { reviewer, note } = req.body || {};
+        try {
+            // Without an explicit reviewer the authenticated caller is recorded
+            const decidedBy = reviewer || (req.auth && req.auth.subject) || null;
+            const review = await reviewQueue.decide(req.params.id, { status, reviewer: decidedBy, note }, apply);
+            res.json({ success: true, review });
+        } catch (error) {
+            if (!error.status) logger.error('Error applying review decision', { status, error });
+            res.status(error.status || 500).json({ success: false, error: error.message });
+        }
+    };
+
+    // Accept: the pair is a duplicate, so the question is dropped
+    router.post('/reviews/:id/accept', decisionRoute('accepted', applyAccept));
+
+    // Reject: the pair is not a duplicate, so the question joins the bank
+    router.post('/reviews/:id/reject', decisionRoute('rejected', applyReject));
+
+    return router;
+};
+
+module.exports = createReviewRoutes;
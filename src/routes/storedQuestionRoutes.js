@@ -0,0 +1,208 @@
+// src/routes/storedQuestionRoutes.js
+const express = require('express');
+const { logger } = require('../utils/logger');
+const { hasRole } = require('../services/authService');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 50;
+
+const badRequest = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+};
+
+const sendError = (res, error, action) => {
+    if (!error.status) logger.error(`Error ${action}`, { error });
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({ success: false, error: error.message });
+};
+
+const positiveInt = (value, name, fallback, max) => {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) throw badRequest(`${name} must be a positive integer`);
+    return Math.min(number, max);
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Epoch ms for an ISO date or date-time. With endOfDay a bare date (UTC) stands for its last
+// millisecond, so an inclusive ?to=2024-05-02 still takes in everything created that day.
+const parseDate = (value, name, { endOfDay = false } = {}) => {
+    if (value === undefined || value === '') return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw badRequest(`${name} must be an ISO date or date-time`);
+    return endOfDay && DATE_ONLY.test(value) ? time + DAY_MS - 1 : time;
+};
+
+// Trimmed, de-duplicated tag names; throws on anything but an array of non-empty strings
+const parseTags = (tags) => {
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string' || tag.trim() === '')) {
+        throw badRequest('tags must be an array of non-empty strings');
+    }
+    return [...new Set(tags.map((tag) => tag.trim()))];
+};
+
+const parseText = (text) => {
+    if (typeof text !== 'string' || text.trim() === '') throw badRequest('text must be a non-empty string');
+    return text.trim();
+};
+
+// List, fetch, edit, tag, delete and search a bank's stored questions. Mounted at the root
+// for the default bank and under /banks/:bankId; resolveBank(req) returns the opened bank.
+// indexQuestions(bank, questions) re-indexes edited questions and languageFields(bankId,
+// text) gives an edited text's language metadata; searchQuestions(bank, text, { limit,
+// judge }) ranks stored questions against free text like a duplicate check does.
+const createStoredQuestionRoutes = ({ resolveBank, indexQuestions, languageFields, searchQuestions }) => {
+    const router = express.Router({ mergeParams: true });
+
+    const findQuestion = async (req) => {
+        const bank = await resolveBank(req);
+        const question = await bank.questionStore.get(req.params.id);
+        if (!question) {
+            const err = new Error('Question not found');
+            err.status = 404;
+            throw err;
+        }
+        return { bank, question };
+    };
+
+    // ?page=&pageSize=&from=&to= (createdAt range, inclusive) &tag=
+    router.get('/questions', async (req, res) => {
+        try {
+            const page = positiveInt(req.query.page, 'page', 1, Number.MAX_SAFE_INTEGER);
+            const pageSize = positiveInt(req.query.pageSize, 'pageSize', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+            const from = parseDate(req.query.from, 'from');
+            const to = parseDate(req.query.to, 'to', { endOfDay: true });
+            const { tag } = req.query;
+
+            const bank = await resolveBank(req);
+            const matching = (await bank.questionStore.getAll()).filter((question) => {
+                const createdAt = Date.parse(question.createdAt);
+                if (from !== null && !(createdAt >= from)) return false;
+                if (to !== null && !(createdAt <= to)) return false;
+                return !tag || (question.tags || []).includes(tag);
+            });
+
+            res.json({
+                success: true,
+                bankId: bank.id,
+                page,
+                pageSize,
+                total: matching.length,
+                totalPages: Math.ceil(matching.length / pageSize),
+                questions: matching.slice((page - 1) * pageSize, page * pageSize),
+            });
+        } catch (error) {
+            sendError(res, error, 'listing questions');
+        }
+    });
+
+    // ?q=<text>&limit=&judge=true|false. Judge calls spend budget, so they need the author
+    // role: authors judge by default, viewers get local lexical/semantic scores only.
+    router.get('/questions/search', async (req, res) => {
+        try {
+            const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+            if (!query) throw badRequest('q is required');
+            const limit = positiveInt(req.query.limit, 'limit', DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+            const canJudge = hasRole(req.auth, 'author');
+            const judge = req.query.judge === undefined ? canJudge : req.query.judge !== 'false';
+            if (judge && !canJudge) {
+                const err = new Error('Judged search needs the author role (pass judge=false)');
+                err.status = 403;
+                throw err;
+            }
+
+            const bank = await resolveBank(req);
+            const results = await searchQuestions(bank, query, { limit, judge });
+            res.json({ success: true, bankId: bank.id, query, count: results.length, results });
+        } catch (error) {
+            sendError(res, error, 'searching questions');
+        }
+    });
+
+    router.get('/questions/:id', async (req, res) => {
+        try {
+            const { question } = await findQuestion(req);
+            res.json({ success: true, question });
+        } catch (error) {
+            sendError(res, error, 'reading question');
+        }
+    });
+
+    // Body: { text?, tags? }; tags replaces the question's whole tag list
+    router.patch('/questions/:id', async (req, res) => {
+        try {
+            const body = req.body || {};
+            const unknown = Object.keys(body).filter((field) => !['text', 'tags'].includes(field));
+            if (unknown.length > 0) throw badRequest(`Only text and tags can be edited (got ${unknown.join(', ')})`);
+
+            const changes = {};
+            if (body.text !== undefined) changes.text = parseText(body.text);
+            if (body.tags !== undefined) changes.tags = parseTags(body.tags);
+            if (Object.keys(changes).length === 0) throw badRequest('Nothing to update (expected text or tags)');
+
+            const { bank } = await findQuestion(req);
+            // A new text gets a fresh language and translation (none outside translate mode) and
+            // new similarity-cache keys, which are derived from the texts of each compared pair
+            if (changes.text !== undefined) {
+                Object.assign(changes, { translation: null }, await languageFields(bank.id, changes.text));
+            }
+            const question = await bank.questionStore.update(req.params.id, {
+                ...changes,
+                updatedAt: new Date().toISOString(),
+            });
+            if (changes.text !== undefined) await indexQuestions(bank, [question]);
+            res.json({ success: true, question });
+        } catch (error) {
+            sendError(res, error, 'updating question');
+        }
+    });
+
+    // Body: { tags: [...] }, added to the existing tags
+    router.post('/questions/:id/tags', async (req, res) => {
+        try {
+            const tags = parseTags((req.body || {}).tags);
+            const { bank, question: existing } = await findQuestion(req);
+            const question = await bank.questionStore.update(req.params.id, {
+                tags: [...new Set([...(existing.tags || []), ...tags])],
+                updatedAt: new Date().toISOString(),
+            });
+            res.json({ success: true, question });
+        } catch (error) {
+            sendError(res, error, 'tagging question');
+        }
+    });
+
+    router.delete('/questions/:id/tags/:tag', async (req, res) => {
+        try {
+            const { bank, question: existing } = await findQuestion(req);
+            const question = await bank.questionStore.update(req.params.id, {
+                tags: (existing.tags || []).filter((tag) => tag !== req.params.tag),
+                updatedAt: new Date().toISOString(),
+            });
+            res.json({ success: true, question });
+        } catch (error) {
+            sendError(res, error, 'untagging question');
+        }
+    });
+
+    router.delete('/questions/:id', async (req, res) => {
+        try {
+            const { bank } = await findQuestion(req);
+            await bank.questionStore.remove(req.params.id);
+            await bank.candidateIndex.remove([req.params.id]);
+            res.json({ success: true, message: `Question ${req.params.id} deleted` });
+        } catch (error) {
+            sendError(res, error, 'deleting question');
+        }
+    });
+
+    return router;
+};
+
+module.exports = createStoredQuestionRoutes;
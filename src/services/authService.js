@@ -0,0 +1,167 @@
+// src/services/authService.js
+const crypto = require('crypto');
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'author', 'admin'];
+
+const roleRank = (role) => ROLES.indexOf(role);
+
+// Whether req.auth (as set by the middleware) carries at least `role`
+const hasRole = (auth, role) => Boolean(auth) && roleRank(auth.role) >= roleRank(role);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+const fromBase64Url = (part) => Buffer.from(part.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+const authError = (status, message) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+};
+
+// "name:role:key" entries separated by commas; the key is everything after the second colon
+const parseApiKeys = (raw) => (raw || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+        const [name, role, ...rest] = entry.split(':');
+        const key = rest.join(':');
+        if (!name || !key || !ROLES.includes(role)) {
+            throw new Error(`API key entries must look like name:role:key with role one of ${ROLES.join(', ')}`);
+        }
+        return { name, role, hash: sha256(key) };
+    });
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Verifies an HS256 JWT and returns its claims; exp is required and, like nbf, checked with
+// a small leeway, so a leaked token cannot be used forever
+const verifyJwt = (token, { secret, issuer, audience, leewaySeconds = 30 }) => {
+    const parts = token.split('.');
+    if (parts.length !== 3) throw authError(401, 'Malformed token');
+
+    let header;
+    let claims;
+    try {
+        header = JSON.parse(fromBase64Url(parts[0]).toString('utf8'));
+        claims = JSON.parse(fromBase64Url(parts[1]).toString('utf8'));
+    } catch {
+        throw authError(401, 'Malformed token');
+    }
+    if (!isObject(header) || !isObject(claims)) throw authError(401, 'Malformed token');
+    if (header.alg !== 'HS256') throw authError(401, `Unsupported token algorithm ${header.alg}`);
+
+    const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+    const signature = fromBase64Url(parts[2]);
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        throw authError(401, 'Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number') throw authError(401, 'Token has no expiry (exp claim)');
+    if (now > claims.exp + leewaySeconds) throw authError(401, 'Token expired');
+    if (typeof claims.nbf === 'number' && now + leewaySeconds < claims.nbf) throw authError(401, 'Token not yet valid');
+    if (issuer && claims.iss !== issuer) throw authError(401, 'Unexpected token issuer');
+    if (audience) {
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (!audiences.includes(audience)) throw authError(401, 'Unexpected token audience');
+    }
+    return claims;
+};
+
+// The highest known role in a `role` string or `roles` array claim
+const roleFromClaims = (claims) => {
+    const granted = [].concat(claims.roles || [], claims.role || []).filter((role) => ROLES.includes(role));
+    return granted.sort((a, b) => roleRank(b) - roleRank(a))[0] || null;
+};
+
+// API-key (X-API-Key header) and HS256 JWT (Authorization: Bearer) authentication with
+// viewer < author < admin roles. `rules` ([{ methods, path, role }], first match wins;
+// role null makes a route public) decide which role a request needs; unmatched GET and
+// HEAD requests need viewer and everything else author. With no keys and no JWT secret
+// configured, `enabled` is false and every request passes as admin.
+const createAuth = ({ apiKeys, jwtSecret, jwtIssuer, jwtAudience, rules = [] }) => {
+    const keys = parseApiKeys(apiKeys);
+    const enabled = keys.length > 0 || Boolean(jwtSecret);
+
+    rules.forEach((rule) => {
+        if (rule.role !== null && !ROLES.includes(rule.role)) throw new Error(`Unknown role "${rule.role}" in route rules`);
+    });
+
+    const requiredRole = (req) => {
+        const rule = rules.find((r) => (!r.methods || r.methods.includes(req.method)) && r.path.test(req.path));
+        if (rule) return rule.role;
+        return ['GET', 'HEAD'].includes(req.method) ? 'viewer' : 'author';
+    };
+
+    // { subject, role, method } for the request's credentials, null when it has none
+    const identify = (req) => {
+        const apiKey = req.get('x-api-key');
+        if (apiKey) {
+            const hash = sha256(apiKey);
+            const match = keys.find((entry) => crypto.timingSafeEqual(entry.hash, hash));
+            if (!match) throw authError(401, 'Invalid API key');
+            return { subject: match.name, role: match.role, method: 'api-key' };
+        }
+
+        const [scheme, token] = (req.get('authorization') || '').split(' ');
+        if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+            if (!jwtSecret) throw authError(401, 'Bearer tokens are not accepted by this server');
+            const claims = verifyJwt(token, { secret: jwtSecret, issuer: jwtIssuer, audience: jwtAudience });
+            const role = roleFromClaims(claims);
+            if (!role) throw authError(403, `Token grants none of the roles ${ROLES.join(', ')}`);
+            return { subject: claims.sub || null, role, method: 'jwt' };
+        }
+        return null;
+    };
+
+    // Sets req.auth and answers 401 (missing or bad credentials) or 403 (role too low)
+    const middleware = (req, res, next) => {
+        if (!enabled) {
+            req.auth = { subject: null, role: 'admin', method: 'none' };
+            return next();
+        }
+
+        // Open routes (role null) do not look at credentials, so a stale key cannot fail them
+        const role = requiredRole(req);
+        if (role === null) {
+            req.auth = null;
+            return next();
+        }
+        try {
+            req.auth = identify(req);
+        } catch (error) {
+            const status = error.status || 401;
+            if (status === 401) res.set('WWW-Authenticate', 'Bearer');
+            return res.status(status).json({ success: false, error: error.message });
+        }
+        if (!req.auth) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ success: false, error: 'Authentication required (X-API-Key header or Bearer token)' });
+        }
+        if (!hasRole(req.auth, role)) {
+            return res.status(403).json({ success: false, error: `This route needs the ${role} role` });
+        }
+        next();
+    };
+
+    const describe = () => ({
+        enabled,
+        apiKeys: keys.length,
+        jwt: Boolean(jwtSecret),
+        roles: ROLES,
+    });
+
+    return {
+        enabled,
+        middleware,
+        describe,
+    };
+};
+
+module.exports = {
+    ROLES,
+    hasRole,
+    createAuth,
+};
@@ -0,0 +1,203 @@
+// src/services/bankRegistry.js
+const fs = require('fs').promises;
+const { createMutex } = require('../utils/mutex');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_BANK_ID = 'default';
+const BANK_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const THRESHOLD_NAMES = ['similarity', 'prefilter'];
+
+const badRequest = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+};
+
+const notFound = (id) => {
+    const err = new Error(`Question bank "${id}" not found`);
+    err.status = 404;
+    return err;
+};
+
+// Partial thresholds ({ similarity?, prefilter? }); each must lie in (0, 1]
+const validateThresholds = (thresholds) => {
+    if (thresholds === undefined) return {};
+    if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+        throw badRequest('thresholds must be an object');
+    }
+    const result = {};
+    for (const [name, value] of Object.entries(thresholds)) {
+        if (!THRESHOLD_NAMES.includes(name)) {
+            throw badRequest(`Unknown threshold "${name}" (expected ${THRESHOLD_NAMES.join(', ')})`);
+        }
+        const number = Number(value);
+        if (!Number.isFinite(number) || number <= 0 || number > 1) {
+            throw badRequest(`thresholds.${name} must be a number in (0, 1]`);
+        }
+        result[name] = number;
+    }
+    return result;
+};
+
+// Pairs scoring below the prefilter are never judged, so a prefilter above the similarity
+// threshold would turn away pairs that count as duplicates
+const checkThresholdOrder = ({ similarity, prefilter }) => {
+    if (prefilter > similarity) {
+        throw badRequest(`thresholds.prefilter (${prefilter}) must not exceed thresholds.similarity (${similarity})`);
+    }
+};
+
+// false (default), true (every other bank) or a list of bank ids
+const validateCrossBankCheck = (value) => {
+    if (value === undefined) return false;
+    if (typeof value === 'boolean') return value;
+    if (Array.isArray(value) && value.every((id) => typeof id === 'string')) return value;
+    throw badRequest('crossBankCheck must be true, false or an array of bank ids');
+};
+
+// Named question banks with isolated storage. Metadata ({ id, name, createdAt, thresholds,
+// crossBankCheck }) lives in one JSON file; each bank's resources come from
+// `openBank(meta)`, are opened on first use and released by `closeBank(bank, { destroy })`.
+// `defaults` fills thresholds a bank does not set. The default bank always exists.
+// `inUse(id)` names what still relies on a bank (e.g. its running jobs), or null; such a
+// bank cannot be deleted.
+const createBankRegistry = ({ filePath, defaults, openBank, closeBank, inUse = () => null }) => {
+    const metas = new Map();
+    const opened = new Map();
+    const withLock = createMutex();
+
+    const persist = async () => {
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify({ banks: [...metas.values()] }, null, 2));
+        await fs.rename(tmpPath, filePath);
+    };
+
+    const newMeta = ({ id, name, thresholds, crossBankCheck }) => ({
+        id,
+        name: name ? String(name) : id,
+        createdAt: new Date().toISOString(),
+        thresholds: validateThresholds(thresholds),
+        crossBankCheck: validateCrossBankCheck(crossBankCheck),
+    });
+
+    const init = async () => {
+        try {
+            const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            (data.banks || []).forEach((meta) => metas.set(meta.id, meta));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                logger.error('Bank registry file unreadable, starting with the default bank', { error: err.message });
+            }
+        }
+        if (!metas.has(DEFAULT_BANK_ID)) {
+            metas.set(DEFAULT_BANK_ID, newMeta({ id: DEFAULT_BANK_ID, name: 'Default bank' }));
+            await persist();
+        }
+        logger.info('Bank registry loaded', { banks: metas.size });
+    };
+
+    const has = (id) => metas.has(id);
+
+    const list = () => [...metas.values()]
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))
+        .map((meta) => ({ ...meta, thresholds: { ...defaults, ...meta.thresholds }, open: opened.has(meta.id) }));
+
+    // The opened bank: { id, meta, thresholds, ...resources from openBank }
+    const get = (id) => {
+        if (!metas.has(id)) return Promise.reject(notFound(id));
+        if (!opened.has(id)) {
+            const opening = Promise.resolve().then(() => openBank(metas.get(id))).then((resources) => ({
+                ...resources,
+                id,
+                get meta() {
+                    return metas.get(id);
+                },
+                get thresholds() {
+                    return { ...defaults, ...metas.get(id).thresholds };
+                },
+            }));
+            // A failed open is retried on the next request
+            opening.catch(() => opened.delete(id));
+            opened.set(id, opening);
+        }
+        return opened.get(id);
+    };
+
+    const create = (input = {}) => withLock(async () => {
+        const id = String(input.id || '').trim();
+        if (!BANK_ID_PATTERN.test(id)) {
+            throw badRequest('id must be 1-64 lowercase letters, digits, "-" or "_", starting with a letter or digit');
+        }
+        if (metas.has(id)) {
+            const err = new Error(`Question bank "${id}" already exists`);
+            err.status = 409;
+            throw err;
+        }
+        const meta = newMeta({ ...input, id });
+        checkThresholdOrder({ ...defaults, ...meta.thresholds });
+        metas.set(id, meta);
+        await persist();
+        return meta;
+    });
+
+    // Changes name, thresholds (merged; null drops an override) or crossBankCheck. Every
+    // change is validated before any is applied.
+    const update = (id, changes = {}) => withLock(async () => {
+        const meta = metas.get(id);
+        if (!meta) throw notFound(id);
+        let { thresholds } = meta;
+        if (changes.thresholds !== undefined) {
+            const nulls = Object.keys(changes.thresholds || {}).filter((name) => changes.thresholds[name] === null);
+            const set = validateThresholds(Object.fromEntries(
+                Object.entries(changes.thresholds || {}).filter(([, value]) => value !== null),
+            ));
+            thresholds = { ...meta.thresholds, ...set };
+            nulls.forEach((name) => delete thresholds[name]);
+            checkThresholdOrder({ ...defaults, ...thresholds });
+        }
+        const crossBankCheck = changes.crossBankCheck !== undefined
+            ? validateCrossBankCheck(changes.crossBankCheck)
+            : meta.crossBankCheck;
+
+        if (changes.name !== undefined) meta.name = String(changes.name);
+        meta.thresholds = thresholds;
+        meta.crossBankCheck = crossBankCheck;
+        await persist();
+        return meta;
+    });
+
+    // Deletes a bank and everything stored for it; the default bank can only be reset
+    const remove = (id) => withLock(async () => {
+        if (!metas.has(id)) throw notFound(id);
+        if (id === DEFAULT_BANK_ID) throw badRequest('The default bank cannot be deleted');
+        const user = inUse(id);
+        if (user) {
+            const err = new Error(`Question bank "${id}" is in use by ${user}; cancel them or wait for them to finish`);
+            err.status = 409;
+            throw err;
+        }
+        const bank = await get(id);
+        opened.delete(id);
+        metas.delete(id);
+        await persist();
+        await closeBank(bank, { destroy: true });
+    });
+
+    const openBanks = () => Promise.all([...opened.values()]);
+
+    return {
+        init,
+        has,
+        list,
+        get,
+        create,
+        update,
+        remove,
+        openBanks,
+    };
+};
+
+module.exports = {
+    DEFAULT_BANK_ID,
+    createBankRegistry,
+};
@@ -0,0 +1,164 @@
+// src/services/calibrationService.js
+const { findField } = require('./formats/table');
+
+// Thresholds are evaluated on a 0.01 grid over (0, 1], the range banks accept
+const THRESHOLD_STEPS = 100;
+
+const DUPLICATE_LABELS = ['1', 'true', 'yes', 'y', 'duplicate', 'dup', 'same'];
+const DISTINCT_LABELS = ['0', 'false', 'no', 'n', 'not duplicate', 'not_duplicate', 'distinct', 'different', 'unique'];
+
+const QUESTION1_FIELDS = ['question1', 'question 1', 'question_1', 'q1', 'question a', 'first question'];
+const QUESTION2_FIELDS = ['question2', 'question 2', 'question_2', 'q2', 'question b', 'second question'];
+const LABEL_FIELDS = ['label', 'duplicate', 'is duplicate', 'is_duplicate', 'isduplicate'];
+
+const badRequest = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+};
+
+const parseLabel = (value) => {
+    if (typeof value === 'boolean') return value;
+    const label = String(value ?? '').trim().toLowerCase();
+    if (DUPLICATE_LABELS.includes(label)) return true;
+    if (DISTINCT_LABELS.includes(label)) return false;
+    return null;
+};
+
+// Labelled pairs from table records (CSV/XLSX/JSONL rows or a JSON array): question
+// columns and the label column are matched by name, case-insensitively. Returns
+// [{ question1, question2, duplicate }]; errors carry err.status 400 and the record number.
+const readLabelledPairs = (records) => {
+    if (!Array.isArray(records) || records.length === 0) {
+        throw badRequest('The labelled set must contain at least one pair');
+    }
+    const fields = {
+        question1: findField(records, QUESTION1_FIELDS),
+        question2: findField(records, QUESTION2_FIELDS),
+        label: findField(records, LABEL_FIELDS),
+    };
+    const missing = Object.keys(fields).filter((name) => !fields[name]);
+    if (missing.length > 0) {
+        throw badRequest(`Labelled pairs need question1, question2 and label columns (missing: ${missing.join(', ')})`);
+    }
+
+    const pairs = records.map((record, i) => {
+        const question1 = String(record[fields.question1] ?? '').trim();
+        const question2 = String(record[fields.question2] ?? '').trim();
+        if (!question1 || !question2) throw badRequest(`Pair ${i + 1} is missing a question`);
+        const duplicate = parseLabel(record[fields.label]);
+        if (duplicate === null) {
+            throw badRequest(`Pair ${i + 1} has an unknown label "${record[fields.label]}" `
+                + `(use one of ${DUPLICATE_LABELS.join('/')} or ${DISTINCT_LABELS.join('/')})`);
+        }
+        return { question1, question2, duplicate };
+    });
+
+    if (!pairs.some((pair) => pair.duplicate) || pairs.every((pair) => pair.duplicate)) {
+        throw badRequest('The labelled set needs both duplicate and non-duplicate pairs');
+    }
+    return pairs;
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Precision, recall and F1 when pairs scoring at least `threshold`, or flagged sameQuestion
+// by the judge, count as duplicates: the rule the live decision applies. With nothing
+// predicted, precision is 1 by convention.
+const confusionAt = (scored, threshold) => {
+    let tp = 0;
+    let fp = 0;
+    let fn = 0;
+    scored.forEach(({ score, duplicate, sameQuestion = false }) => {
+        const predicted = sameQuestion || score >= threshold - 1e-9;
+        if (predicted && duplicate) tp++;
+        else if (predicted) fp++;
+        else if (duplicate) fn++;
+    });
+    const precision = tp + fp === 0 ? 1 : tp / (tp + fp);
+    const recall = tp + fn === 0 ? 0 : tp / (tp + fn);
+    const f1 = precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall);
+    return { threshold: round(threshold), precision: round(precision), recall: round(recall), f1: round(f1), tp, fp, fn };
+};
+
+// The middle of the widest run of grid points sharing the best F1 (the highest run when two
+// are as wide). Every threshold in the run separates the labelled pairs equally well; the
+// ends sit right against the scores of some labelled pair, the middle has the most margin.
+const bestPoint = (curve) => {
+    const bestF1 = Math.max(...curve.map((point) => point.f1));
+    let run = null;
+    let start = null;
+    curve.forEach((point, i) => {
+        if (point.f1 !== bestF1) {
+            start = null;
+            return;
+        }
+        if (start === null) start = i;
+        if (!run || i - start >= run.end - run.start) run = { start, end: i };
+    });
+    return curve[Math.floor((run.start + run.end) / 2)];
+};
+
+// Evaluate one scorer: `scored` is [{ score, duplicate, sameQuestion? }], with null scores
+// (the scorer could not score the pair) left out. Returns the PR curve over the threshold grid, the
+// best-F1 threshold (see bestPoint) and the average precision.
+const evaluateScorer = (scored) => {
+    const usable = scored.filter((entry) => typeof entry.score === 'number' && Number.isFinite(entry.score));
+    const positives = usable.filter((entry) => entry.duplicate).length;
+    if (positives === 0 || positives === usable.length) {
+        return { pairs: usable.length, skipped: scored.length - usable.length, positives, curve: [], best: null, averagePrecision: null };
+    }
+
+    const curve = [];
+    for (let step = 1; step <= THRESHOLD_STEPS; step++) {
+        curve.push(confusionAt(usable, step / THRESHOLD_STEPS));
+    }
+    const best = bestPoint(curve);
+
+    // Step-wise area under the PR curve, walking from high to low thresholds
+    let averagePrecision = 0;
+    let previousRecall = 0;
+    [...curve].reverse().forEach((point) => {
+        averagePrecision += (point.recall - previousRecall) * point.precision;
+        previousRecall = point.recall;
+    });
+
+    return {
+        pairs: usable.length,
+        skipped: scored.length - usable.length,
+        positives,
+        curve,
+        best,
+        averagePrecision: round(averagePrecision),
+    };
+};
+
+// The highest threshold on a curve that keeps recall at or above `targetRecall`
+const thresholdForRecall = (evaluation, targetRecall) => {
+    const candidates = evaluation.curve.filter((point) => point.recall >= targetRecall);
+    return candidates.length > 0 ? candidates[candidates.length - 1] : evaluation.curve[0];
+};
+
+// Recommended bank thresholds from per-scorer evaluations ({ lexical, embedding?, llm? }).
+// The similarity threshold is the best-F1 threshold of the judge's scores, or of the
+// lexical scores when the judge was not evaluated. The prefilter only discards pairs, so it
+// is the highest lexical threshold that still lets `targetRecall` of duplicates through.
+const recommendThresholds = (evaluations, { targetRecall }) => {
+    const similaritySource = evaluations.llm && evaluations.llm.best ? 'llm' : 'lexical';
+    const similarity = evaluations[similaritySource].best;
+    const lexical = evaluations.lexical;
+    if (!similarity || !lexical.best) return null;
+    const prefilter = thresholdForRecall(lexical, targetRecall);
+
+    return {
+        similarity: { value: similarity.threshold, basedOn: similaritySource, precision: similarity.precision, recall: similarity.recall, f1: similarity.f1 },
+        prefilter: { value: prefilter.threshold, basedOn: 'lexical', targetRecall, precision: prefilter.precision, recall: prefilter.recall, f1: prefilter.f1 },
+    };
+};
+
+module.exports = {
+    readLabelledPairs,
+    confusionAt,
+    evaluateScorer,
+    recommendThresholds,
+};
@@ -0,0 +1,401 @@
+// src/services/candidateIndex.js
+const fs = require('fs').promises;
+const { createMutex } = require('../utils/mutex');
+const { logger } = require('../utils/logger');
+
+const INDEX_VERSION = 2;
+const SEED = 0x5eed1234;
+
+// Deterministic PRNG so persisted signatures stay valid across restarts
+const mulberry32 = (seed) => () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const fnv1a = (str) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+const mix32 = (x) => {
+    x ^= x >>> 16;
+    x = Math.imul(x, 0x7feb352d);
+    x ^= x >>> 15;
+    x = Math.imul(x, 0x846ca68b);
+    x ^= x >>> 16;
+    return x >>> 0;
+};
+
+const shingles = (text, size) => {
+    const normalized = ` ${text.toLowerCase().replace(/\s+/g, ' ').trim()} `;
+    const result = new Set();
+    for (let i = 0; i + size <= normalized.length; i++) {
+        result.add(fnv1a(normalized.slice(i, i + size)));
+    }
+    return result;
+};
+
+// Probability that a pair agreeing on each signature row with probability p shares a band
+const bandCollision = (p, rows, bands) => 1 - (1 - p ** rows) ** bands;
+
+const integrate = (fn, from, to, steps = 100) => {
+    const width = (to - from) / steps;
+    let sum = 0;
+    for (let i = 0; i < steps; i++) sum += fn(from + (i + 0.5) * width) * width;
+    return sum;
+};
+
+// Rows per band for `total` signature rows, chosen like datasketch's MinHashLSH: the layout
+// minimising the weighted areas of pairs missed above `threshold` and of pairs fetched
+// below it, where `agreement(s)` is the chance one row agrees at similarity s. Misses are
+// weighted up because a pair the index misses is never judged.
+const tuneBands = (total, threshold, agreement, missWeight = 0.8) => {
+    let best = null;
+    for (let rows = 1; rows <= total; rows++) {
+        const bands = Math.floor(total / rows);
+        const fetched = integrate((s) => bandCollision(agreement(s), rows, bands), 0, threshold);
+        const missed = integrate((s) => 1 - bandCollision(agreement(s), rows, bands), threshold, 1);
+        const cost = (1 - missWeight) * fetched + missWeight * missed;
+        if (!best || cost < best.cost) best = { rows, bands, cost };
+    }
+    return { rows: best.rows, bands: best.bands };
+};
+
+// MinHash rows agree with probability equal to the Jaccard similarity; a random hyperplane
+// separates two vectors with probability angle / pi
+const minHashAgreement = (jaccard) => jaccard;
+const simHashAgreement = (cosine) => 1 - Math.acos(Math.min(1, Math.max(-1, cosine))) / Math.PI;
+
+const toBase64 = (typedArray) => Buffer.from(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength).toString('base64');
+
+const fromBase64 = (str) => {
+    const buf = Buffer.from(str, 'base64');
+    return new Uint32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+};
+
+// MinHash/LSH over character shingles for lexical candidates, plus random-hyperplane
+// LSH (SimHash) over sentence embeddings for paraphrases. Both signatures are banded
+// into buckets, so a query only touches questions that share at least one band; the band
+// widths are tuned so pairs above `lexicalThreshold` (shingle Jaccard) or
+// `semanticThreshold` (cosine) are found and pairs well below them are not fetched.
+// `normalization` identifies how callers normalize texts before indexing them; a change
+// invalidates the persisted signatures like any other parameter. The file is a log of
+// signatures and tombstones, rewritten without stale lines once they outnumber live ones.
+const createCandidateIndex = ({
+    filePath = null,
+    numHashes = 128,
+    lexicalThreshold = 0.4,
+    shingleSize = 3,
+    semanticBits = 512,
+    semanticThreshold = 0.7,
+    normalization = null,
+    compactAfter = 1000,
+} = {}) => {
+    const lexicalLayout = tuneBands(numHashes, lexicalThreshold, minHashAgreement);
+    const semanticLayout = tuneBands(semanticBits, semanticThreshold, simHashAgreement);
+    const rowsPerBand = lexicalLayout.rows;
+    const lexicalBands = lexicalLayout.bands;
+    const bitsPerBand = semanticLayout.rows;
+    const semanticBands = semanticLayout.bands;
+    const rand = mulberry32(SEED);
+    const hashSeeds = Uint32Array.from({ length: numHashes }, () => Math.floor(rand() * 4294967296));
+    let hyperplanes = null;
+
+    const entries = new Map();
+    const buckets = new Map();
+    const withLock = createMutex();
+    // Lines in the file that no longer describe a live entry: replaced or removed
+    // signatures and tombstones
+    let staleLines = 0;
+
+    const params = {
+        version: INDEX_VERSION,
+        numHashes,
+        rowsPerBand,
+        lexicalBands,
+        shingleSize,
+        semanticBits,
+        bitsPerBand,
+        semanticBands,
+        normalization,
+    };
+
+    const getHyperplanes = (dim) => {
+        if (!hyperplanes || hyperplanes.dim !== dim) {
+            const planeRand = mulberry32(SEED ^ dim);
+            const planes = new Float32Array(semanticBits * dim);
+            for (let i = 0; i < planes.length; i++) planes[i] = planeRand() * 2 - 1;
+            hyperplanes = { dim, planes };
+        }
+        return hyperplanes.planes;
+    };
+
+    const lexicalSignature = (text) => {
+        const signature = new Uint32Array(numHashes).fill(0xffffffff);
+        for (const shingle of shingles(text, shingleSize)) {
+            for (let i = 0; i < numHashes; i++) {
+                const h = mix32(shingle ^ hashSeeds[i]);
+                if (h < signature[i]) signature[i] = h;
+            }
+        }
+        return signature;
+    };
+
+    const semanticSignature = (vector) => {
+        const dim = vector.length;
+        const planes = getHyperplanes(dim);
+        const signature = new Uint32Array(semanticBits / 32);
+        for (let bit = 0; bit < semanticBits; bit++) {
+            let dot = 0;
+            const offset = bit * dim;
+            for (let i = 0; i < dim; i++) dot += planes[offset + i] * vector[i];
+            if (dot >= 0) signature[bit >>> 5] |= 1 << (bit & 31);
+        }
+        return signature;
+    };
+
+    const lexicalBandKeys = (signature) => {
+        const keys = [];
+        for (let band = 0; band < lexicalBands; band++) {
+            let h = band;
+            for (let r = 0; r < rowsPerBand; r++) {
+                h = mix32(h ^ signature[band * rowsPerBand + r]);
+            }
+            keys.push(`l${band}:${h}`);
+        }
+        return keys;
+    };
+
+    const semanticBandKeys = (signature) => {
+        const keys = [];
+        for (let band = 0; band < semanticBands; band++) {
+            let value = '';
+            for (let bit = band * bitsPerBand; bit < (band + 1) * bitsPerBand; bit++) {
+                value += (signature[bit >>> 5] >>> (bit & 31)) & 1;
+            }
+            keys.push(`s${band}:${value}`);
+        }
+        return keys;
+    };
+
+    const bandKeys = (entry) => [
+        ...lexicalBandKeys(entry.lexical),
+        ...(entry.semantic ? semanticBandKeys(entry.semantic) : []),
+    ];
+
+    const link = (id, entry) => {
+        for (const key of bandKeys(entry)) {
+            if (!buckets.has(key)) buckets.set(key, new Set());
+            buckets.get(key).add(id);
+        }
+    };
+
+    const unlink = (id, entry) => {
+        for (const key of bandKeys(entry)) {
+            const bucket = buckets.get(key);
+            if (!bucket) continue;
+            bucket.delete(id);
+            if (bucket.size === 0) buckets.delete(key);
+        }
+    };
+
+    const put = (id, entry) => {
+        if (entries.has(id)) {
+            unlink(id, entries.get(id));
+            staleLines++;
+        }
+        entries.set(id, entry);
+        link(id, entry);
+    };
+
+    const drop = (id) => {
+        if (!entries.has(id)) return false;
+        unlink(id, entries.get(id));
+        entries.delete(id);
+        return true;
+    };
+
+    const lexicalEstimate = (a, b) => {
+        let same = 0;
+        for (let i = 0; i < numHashes; i++) if (a[i] === b[i]) same++;
+        return same / numHashes;
+    };
+
+    // Estimated cosine from the fraction of differing hyperplane bits
+    const semanticEstimate = (a, b) => {
+        let differing = 0;
+        for (let i = 0; i < a.length; i++) {
+            let x = (a[i] ^ b[i]) >>> 0;
+            while (x) {
+                x &= x - 1;
+                differing++;
+            }
+        }
+        return Math.max(0, Math.cos(Math.PI * differing / semanticBits));
+    };
+
+    const serialize = (id, entry) => JSON.stringify({
+        id,
+        m: toBase64(entry.lexical),
+        s: entry.semantic ? toBase64(entry.semantic) : null,
+    });
+
+    const append = (lines) => {
+        if (!filePath || lines.length === 0) return Promise.resolve();
+        return withLock(() => fs.appendFile(filePath, lines.map((l) => `${l}\n`).join('')));
+    };
+
+    const rewrite = () => {
+        if (!filePath) return Promise.resolve();
+        return withLock(async () => {
+            const lines = [JSON.stringify(params)];
+            for (const [id, entry] of entries) lines.push(serialize(id, entry));
+            const tmpPath = `${filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tmpPath, `${lines.join('\n')}\n`);
+            await fs.rename(tmpPath, filePath);
+            staleLines = 0;
+        });
+    };
+
+    const compactIfStale = async () => {
+        if (staleLines >= Math.max(compactAfter, entries.size)) {
+            logger.info('Compacting candidate index', { questions: entries.size, staleLines });
+            await rewrite();
+        }
+    };
+
+    // Loads the append-only log; a missing file or changed parameters start a fresh index
+    const init = async () => {
+        if (!filePath) return;
+        let data;
+        try {
+            data = await fs.readFile(filePath, 'utf8');
+        } catch {
+            await rewrite();
+            return;
+        }
+
+        const [header, ...lines] = data.split('\n').filter(Boolean);
+        let storedParams = null;
+        try {
+            storedParams = JSON.parse(header);
+        } catch {
+            storedParams = null;
+        }
+        if (!storedParams || Object.keys(params).some((k) => storedParams[k] !== params[k])) {
+            logger.warn('Candidate index parameters changed, rebuilding from scratch');
+            await rewrite();
+            return;
+        }
+
+        for (const line of lines) {
+            try {
+                const record = JSON.parse(line);
+                if (record.deleted) {
+                    drop(record.id);
+                } else {
+                    put(record.id, {
+                        lexical: fromBase64(record.m),
+                        semantic: record.s ? fromBase64(record.s) : null,
+                    });
+                }
+            } catch {
+                // Unreadable lines are dropped by the rewrite below
+            }
+        }
+
+        // Anything beyond one line per live question is stale
+        if (lines.length > entries.size) await rewrite();
+        logger.info('Candidate index loaded', { questions: entries.size });
+    };
+
+    // items: [{ id, text, vector? }]
+    const add = async (items) => {
+        const lines = [];
+        for (const { id, text, vector } of items) {
+            const entry = {
+                lexical: lexicalSignature(text),
+                semantic: vector ? semanticSignature(vector) : null,
+            };
+            put(id, entry);
+            lines.push(serialize(id, entry));
+        }
+        await append(lines);
+        await compactIfStale();
+    };
+
+    const remove = async (ids) => {
+        const lines = ids.filter(drop).map((id) => JSON.stringify({ id, deleted: true }));
+        // The removed signature and its tombstone
+        staleLines += lines.length * 2;
+        await append(lines);
+        await compactIfStale();
+    };
+
+    const has = (id) => entries.has(id);
+
+    const ids = () => [...entries.keys()];
+
+    const hasSemantic = (id) => Boolean(entries.get(id) && entries.get(id).semantic);
+
+    // Returns up to k ids with estimated lexical (Jaccard) and semantic (cosine) scores
+    const query = ({ text, vector }, k) => {
+        const probe = {
+            lexical: lexicalSignature(text),
+            semantic: vector ? semanticSignature(vector) : null,
+        };
+        const candidateIds = new Set();
+        for (const key of bandKeys(probe)) {
+            const bucket = buckets.get(key);
+            if (bucket) bucket.forEach((id) => candidateIds.add(id));
+        }
+
+        const scored = [];
+        for (const id of candidateIds) {
+            const entry = entries.get(id);
+            const lexicalScore = lexicalEstimate(probe.lexical, entry.lexical);
+            const semanticScore = probe.semantic && entry.semantic
+                ? semanticEstimate(probe.semantic, entry.semantic)
+                : null;
+            scored.push({ id, lexicalScore, semanticScore, score: Math.max(lexicalScore, semanticScore || 0) });
+        }
+
+        return scored.sort((a, b) => b.score - a.score).slice(0, k);
+    };
+
+    const clear = async () => {
+        entries.clear();
+        buckets.clear();
+        await rewrite();
+    };
+
+    const stats = () => ({
+        size: entries.size,
+        buckets: buckets.size,
+        persisted: Boolean(filePath),
+        ...params,
+    });
+
+    return {
+        init,
+        add,
+        remove,
+        has,
+        ids,
+        hasSemantic,
+        query,
+        clear,
+        stats,
+        compact: rewrite,
+    };
+};
+
+module.exports = {
+    createCandidateIndex,
+};
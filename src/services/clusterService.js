@@ -0,0 +1,149 @@
+// src/services/clusterService.js
+const xlsx = require('xlsx');
+
+const CANONICAL_RULES = ['earliest', 'longest', 'most-complete'];
+
+const createUnionFind = (size) => {
+    const parent = Array.from({ length: size }, (_, i) => i);
+    const rank = new Array(size).fill(0);
+
+    const find = (x) => {
+        while (parent[x] !== x) {
+            parent[x] = parent[parent[x]];
+            x = parent[x];
+        }
+        return x;
+    };
+
+    const union = (a, b) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA === rootB) return;
+        if (rank[rootA] < rank[rootB]) {
+            parent[rootA] = rootB;
+        } else if (rank[rootA] > rank[rootB]) {
+            parent[rootB] = rootA;
+        } else {
+            parent[rootB] = rootA;
+            rank[rootA]++;
+        }
+    };
+
+    return { find, union };
+};
+
+// Number of non-empty fields in the item's source row (or the item itself)
+const completeness = (item) => Object.values(item.rowData || item)
+    .filter((value) => value !== null && value !== undefined && String(value).trim() !== '')
+    .length;
+
+const createdAtValue = (item) => {
+    const time = Date.parse(item.createdAt);
+    return Number.isNaN(time) ? Infinity : time;
+};
+
+// Comparators return < 0 when `a` is the better canonical; ties keep input order
+const RULE_COMPARATORS = {
+    earliest: (a, b) => createdAtValue(a) - createdAtValue(b),
+    longest: (a, b) => b.text.length - a.text.length,
+    'most-complete': (a, b) => completeness(b) - completeness(a) || b.text.length - a.text.length,
+};
+
+const selectCanonical = (members, rule) => {
+    const compare = RULE_COMPARATORS[rule];
+    return [...members].sort((a, b) => compare(a.item, b.item) || a.index - b.index)[0];
+};
+
+// items: [{ id, text, createdAt?, rowData? }]
+// edges: [{ a, b, score, reasons }] with a/b indexes into items, one per matched pair
+// Groups items connected by any chain of matches (transitive) and picks a canonical per group.
+const buildClusters = (items, edges, { rule = 'earliest' } = {}) => {
+    if (!CANONICAL_RULES.includes(rule)) {
+        throw new Error(`Unknown canonical rule "${rule}" (expected ${CANONICAL_RULES.join(', ')})`);
+    }
+
+    const unionFind = createUnionFind(items.length);
+    edges.forEach(({ a, b }) => unionFind.union(a, b));
+
+    const groups = new Map();
+    items.forEach((item, index) => {
+        const root = unionFind.find(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push({ index, item });
+    });
+
+    const edgesByRoot = new Map();
+    edges.forEach((edge) => {
+        const root = unionFind.find(edge.a);
+        if (!edgesByRoot.has(root)) edgesByRoot.set(root, []);
+        edgesByRoot.get(root).push(edge);
+    });
+
+    const clusters = [];
+    for (const [root, members] of groups) {
+        if (members.length < 2) continue;
+        const canonical = selectCanonical(members, rule);
+        const clusterEdges = edgesByRoot.get(root) || [];
+        clusters.push({
+            id: `cluster-${clusters.length + 1}`,
+            size: members.length,
+            canonical: canonical.item,
+            duplicates: members.filter((m) => m !== canonical).map((m) => m.item),
+            matches: clusterEdges.map((edge) => ({
+                a: items[edge.a].id,
+                b: items[edge.b].id,
+                score: edge.score,
+                reasons: edge.reasons,
+            })),
+        });
+    }
+
+    clusters.sort((x, y) => y.size - x.size);
+    clusters.forEach((cluster, i) => {
+        cluster.id = `cluster-${i + 1}`;
+    });
+
+    return {
+        rule,
+        totalQuestions: items.length,
+        clusterCount: clusters.length,
+        clusteredQuestions: clusters.reduce((sum, c) => sum + c.size, 0),
+        redundantQuestions: clusters.reduce((sum, c) => sum + c.duplicates.length, 0),
+        clusters,
+    };
+};
+
+// One row per question in a cluster, canonical first, for reviewers who merge whole groups
+const writeClusterReport = (report, filePath) => {
+    const rows = [['Cluster', 'Size', 'Role', 'Question ID', 'Question', 'Created At']];
+    report.clusters.forEach((cluster) => {
+        [cluster.canonical, ...cluster.duplicates].forEach((item, i) => {
+            rows.push([
+                cluster.id,
+                cluster.size,
+                i === 0 ? 'canonical' : 'duplicate',
+                item.id,
+                item.text,
+                item.createdAt || '',
+            ]);
+        });
+    });
+
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(rows), 'Clusters');
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet([
+        ['Canonical rule', report.rule],
+        ['Total questions', report.totalQuestions],
+        ['Clusters', report.clusterCount],
+        ['Clustered questions', report.clusteredQuestions],
+        ['Redundant questions', report.redundantQuestions],
+    ]), 'Summary');
+    xlsx.writeFile(workbook, filePath);
+};
+
+module.exports = {
+    CANONICAL_RULES,
+    buildClusters,
+    selectCanonical,
+    writeClusterReport,
+};
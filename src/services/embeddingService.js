@@ -0,0 +1,130 @@
+// src/services/embeddingService.js
+const fs = require('fs').promises;
+const path = require('path');
+const tf = require('@tensorflow/tfjs-core');
+require('@tensorflow/tfjs-backend-cpu');
+const tfconv = require('@tensorflow/tfjs-converter');
+const { UniversalSentenceEncoder, Tokenizer } = require('@tensorflow-models/universal-sentence-encoder');
+const { logger } = require('../utils/logger');
+
+const EMBED_BATCH_SIZE = 32;
+
+// Reads a converted TF.js graph model (model.json + weight shards) from disk
+// so the encoder never has to reach tfhub.dev or storage.googleapis.com.
+const loadModelArtifacts = async (modelDir) => {
+    const modelJson = JSON.parse(await fs.readFile(path.join(modelDir, 'model.json'), 'utf8'));
+    const weightSpecs = [];
+    const buffers = [];
+
+    for (const group of modelJson.weightsManifest || []) {
+        weightSpecs.push(...group.weights);
+        for (const shard of group.paths) {
+            buffers.push(await fs.readFile(path.join(modelDir, shard)));
+        }
+    }
+
+    const weightData = Buffer.concat(buffers);
+    return {
+        modelTopology: modelJson.modelTopology,
+        format: modelJson.format,
+        generatedBy: modelJson.generatedBy,
+        convertedBy: modelJson.convertedBy,
+        signature: modelJson.signature,
+        userDefinedMetadata: modelJson.userDefinedMetadata,
+        modelInitializer: modelJson.modelInitializer,
+        weightSpecs,
+        weightData: weightData.buffer.slice(weightData.byteOffset, weightData.byteOffset + weightData.byteLength),
+    };
+};
+
+const normalize = (vector) => {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    return vector;
+};
+
+const cosineSimilarity = (a, b) => {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return Math.max(0, Math.min(1, dot));
+};
+
+const createEmbeddingService = ({ modelDir, maxCachedVectors = 100000 }) => {
+    let encoder = null;
+    let loadError = null;
+    // Unit-length vectors keyed by the exact text, so every question is embedded once
+    const vectors = new Map();
+
+    const init = async () => {
+        try {
+            await tf.setBackend('cpu');
+            await tf.ready();
+            const [artifacts, vocabulary] = await Promise.all([
+                loadModelArtifacts(modelDir),
+                fs.readFile(path.join(modelDir, 'vocab.json'), 'utf8').then(JSON.parse),
+            ]);
+            encoder = new UniversalSentenceEncoder();
+            encoder.model = await tfconv.loadGraphModel({ load: async () => artifacts });
+            encoder.tokenizer = new Tokenizer(vocabulary);
+            logger.info('Universal Sentence Encoder loaded', { modelDir });
+        } catch (err) {
+            encoder = null;
+            loadError = err;
+            logger.warn('Embedding model unavailable', { modelDir, error: err.message });
+        }
+    };
+
+    const isReady = () => encoder !== null;
+
+    const remember = (text, vector) => {
+        if (vectors.size >= maxCachedVectors) {
+            vectors.delete(vectors.keys().next().value);
+        }
+        vectors.set(text, vector);
+    };
+
+    // Embeds any texts that are not cached yet and returns one vector per input
+    const embed = async (texts) => {
+        if (!encoder) {
+            throw new Error('Embedding model is not loaded');
+        }
+
+        const missing = [...new Set(texts.filter((t) => !vectors.has(t)))];
+        for (let i = 0; i < missing.length; i += EMBED_BATCH_SIZE) {
+            const batch = missing.slice(i, i + EMBED_BATCH_SIZE);
+            const tensor = await encoder.embed(batch);
+            const rows = await tensor.array();
+            tensor.dispose();
+            rows.forEach((row, j) => remember(batch[j], normalize(Float32Array.from(row))));
+        }
+
+        return texts.map((t) => vectors.get(t));
+    };
+
+    const similarity = async (text1, text2) => {
+        const [a, b] = await embed([text1, text2]);
+        return cosineSimilarity(a, b);
+    };
+
+    const stats = () => ({
+        ready: isReady(),
+        modelDir,
+        cachedVectors: vectors.size,
+        error: loadError ? loadError.message : undefined,
+    });
+
+    return {
+        init,
+        isReady,
+        embed,
+        similarity,
+        stats,
+    };
+};
+
+module.exports = {
+    createEmbeddingService,
+    cosineSimilarity,
+};
@@ -0,0 +1,99 @@
+// src/services/explainService.js
+
+// Longest inputs compared word by word; the diff table grows with the product of lengths
+const MAX_DIFF_WORDS = 300;
+
+// Display words and their comparison keys (lowercase, punctuation stripped); words that
+// are only punctuation are dropped
+const tokenize = (text) => String(text || '')
+    .split(/\s+/)
+    .map((word) => ({ word, key: word.toLowerCase().replace(/[^\p{L}\p{N}<>]/gu, '') }))
+    .filter((token) => token.key.length > 0);
+
+// Distinct content words (longer than two characters, not stop words) found in both texts
+const sharedWords = (a, b, { stopWords = new Set() } = {}) => {
+    const inB = new Set(tokenize(b).map((token) => token.key));
+    const shared = tokenize(a)
+        .map((token) => token.key)
+        .filter((key) => key.length > 2 && !stopWords.has(key) && inB.has(key));
+    return [...new Set(shared)];
+};
+
+// Maximal word sequences of at least `minLength` words that occur in both texts, longest
+// first; a sequence contained in a longer shared one is not repeated
+const sharedNgrams = (a, b, { minLength = 2 } = {}) => {
+    const keysA = tokenize(a).map((token) => token.key);
+    const keysB = tokenize(b).map((token) => token.key);
+
+    // Longest common run ending at each pair of positions
+    const runs = [];
+    let previous = new Array(keysB.length + 1).fill(0);
+    for (let i = 1; i <= keysA.length; i++) {
+        const current = new Array(keysB.length + 1).fill(0);
+        for (let j = 1; j <= keysB.length; j++) {
+            if (keysA[i - 1] !== keysB[j - 1]) continue;
+            current[j] = previous[j - 1] + 1;
+            const extendsFurther = i < keysA.length && j < keysB.length && keysA[i] === keysB[j];
+            if (!extendsFurther && current[j] >= minLength) runs.push(keysA.slice(i - current[j], i).join(' '));
+        }
+        previous = current;
+    }
+
+    const unique = [...new Set(runs)].sort((x, y) => y.split(' ').length - x.split(' ').length);
+    return unique.filter((ngram, k) => !unique.slice(0, k).some((longer) => ` ${longer} `.includes(` ${ngram} `)));
+};
+
+// Word-level diff turning `a` into `b`: [{ op: 'equal' | 'delete' | 'insert', text }], with
+// neighbouring words of the same op merged. Words compare case- and punctuation-insensitively.
+const wordDiff = (a, b) => {
+    const tokensA = tokenize(a).slice(0, MAX_DIFF_WORDS);
+    const tokensB = tokenize(b).slice(0, MAX_DIFF_WORDS);
+    const n = tokensA.length;
+    const m = tokensB.length;
+
+    // lcs[i][j]: longest common subsequence of tokensA[i:] and tokensB[j:]
+    const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = tokensA[i].key === tokensB[j].key
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    const push = (op, word) => {
+        const last = ops[ops.length - 1];
+        if (last && last.op === op) last.text += ` ${word}`;
+        else ops.push({ op, text: word });
+    };
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (tokensA[i].key === tokensB[j].key) {
+            push('equal', tokensB[j].word);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('delete', tokensA[i++].word);
+        } else {
+            push('insert', tokensB[j++].word);
+        }
+    }
+    while (i < n) push('delete', tokensA[i++].word);
+    while (j < m) push('insert', tokensB[j++].word);
+    return ops;
+};
+
+// One-line rendering of a word diff: "what is the [-boiling-] {+freezing+} point"
+const formatDiff = (ops) => (ops || [])
+    .map(({ op, text }) => (op === 'equal' ? text : op === 'delete' ? `[-${text}-]` : `{+${text}+}`))
+    .join(' ');
+
+module.exports = {
+    tokenize,
+    sharedWords,
+    sharedNgrams,
+    wordDiff,
+    formatDiff,
+};
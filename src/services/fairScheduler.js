@@ -0,0 +1,47 @@
+// src/services/fairScheduler.js
+
+// Round-robin front for a Bottleneck limiter. Each key (a client) has its own queue and at
+// most `maxInFlight` tasks sit in the limiter at once, so a client with thousands of queued
+// judge calls only delays a newly arrived client by one turn instead of the whole backlog.
+const createFairScheduler = ({ limiter, maxInFlight = 1 }) => {
+    // Insertion order is the rotation: a served key is moved to the back
+    const queues = new Map();
+    let inFlight = 0;
+
+    const dispatch = () => {
+        while (inFlight < maxInFlight && queues.size > 0) {
+            const [key, queue] = queues.entries().next().value;
+            const task = queue.shift();
+            queues.delete(key);
+            if (queue.length > 0) queues.set(key, queue);
+
+            inFlight++;
+            limiter.schedule(task.fn)
+                .then(task.resolve, task.reject)
+                .finally(() => {
+                    inFlight--;
+                    dispatch();
+                });
+        }
+    };
+
+    const schedule = (key, fn) => new Promise((resolve, reject) => {
+        if (!queues.has(key)) queues.set(key, []);
+        queues.get(key).push({ fn, resolve, reject });
+        dispatch();
+    });
+
+    const stats = () => ({
+        inFlight,
+        queued: Object.fromEntries([...queues].map(([key, queue]) => [key, queue.length])),
+    });
+
+    return {
+        schedule,
+        stats,
+    };
+};
+
+module.exports = {
+    createFairScheduler,
+};
@@ -1,6 +1,7 @@
 // src/services/fileService.js
 const fs = require('fs').promises;
 const path = require('path');
+const { logger } = require('../utils/logger');
 
 const initializeFile = async (filePath) => {
     try {
@@ -10,9 +11,9 @@ const initializeFile = async (filePath) => {
         } catch {
             await fs.writeFile(filePath, JSON.stringify({ questions: [] }));
         }
-        console.log('Questions file initialized');
+        logger.info('Questions file initialized', { filePath });
     } catch (err) {
-        console.error('File initialization failed:', err);
+        logger.error('File initialization failed', { filePath, error: err });
         throw err;
     }
 };
@@ -22,16 +23,19 @@ const readQuestions = async (filePath) => {
         const data = await fs.readFile(filePath, 'utf8');
         return JSON.parse(data).questions || [];
     } catch (err) {
-        console.error('Error reading questions file:', err);
+        logger.error('Error reading questions file', { filePath, error: err });
         return [];
     }
 };
 
 const writeQuestions = async (filePath, questions) => {
     try {
-        await fs.writeFile(filePath, JSON.stringify({ questions }, null, 2));
+        // Write to a temp file and rename so readers never see a half-written bank
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify({ questions }, null, 2));
+        await fs.rename(tmpPath, filePath);
     } catch (err) {
-        console.error('Error writing questions file:', err);
+        logger.error('Error writing questions file', { filePath, error: err });
         throw err;
     }
 };
@@ -0,0 +1,204 @@
+// src/services/formats/gift.js
+
+// Moodle GIFT: questions separated by blank lines, "//" comments, optional ::title::,
+// answers in {...} and "$CATEGORY:" lines applying to the questions that follow.
+
+const indexOfUnescaped = (str, token, from = 0) => {
+    for (let i = from; i < str.length; i++) {
+        if (str[i] === '\\') {
+            i++;
+        } else if (str.startsWith(token, i)) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+const unescapeGift = (text) => text.replace(/\\(.)/g, (_, c) => (c === 'n' ? '\n' : c));
+
+const escapeGift = (text) => String(text).replace(/([~=#{}:\\])/g, '\\$1').replace(/\n/g, '\\n');
+
+// Unescape, drop a leading [html]/[markdown]/... marker and fold whitespace
+const cleanText = (text) => unescapeGift(text)
+    .replace(/^\s*\[(html|markdown|moodle|plain)\]/i, '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Split an answer block into "=..." / "~..." tokens at unescaped markers
+const tokenize = (body) => {
+    const tokens = [];
+    let current = null;
+    for (let i = 0; i < body.length; i++) {
+        const c = body[i];
+        if (c === '\\') {
+            if (current) current.raw += body.slice(i, i + 2);
+            i++;
+        } else if (c === '=' || c === '~') {
+            current = { marker: c, raw: '' };
+            tokens.push(current);
+        } else if (current) {
+            current.raw += c;
+        }
+    }
+
+    return tokens.map(({ marker, raw }) => {
+        let text = raw;
+        const feedback = indexOfUnescaped(text, '#');
+        if (feedback !== -1) text = text.slice(0, feedback);
+        const weight = text.trim().match(/^%(-?\d+(?:\.\d+)?)%/);
+        if (weight) text = text.trim().slice(weight[0].length);
+        return { marker, raw: text, weight: weight ? Number(weight[1]) : null };
+    });
+};
+
+const parseAnswers = (content) => {
+    const body = content.trim();
+    if (body === '') {
+        return { type: 'essay', options: [], answers: [] };
+    }
+
+    const trueFalse = body.match(/^(T|TRUE|F|FALSE)\s*(#.*)?$/is);
+    if (trueFalse) {
+        return { type: 'truefalse', options: ['True', 'False'], answers: [/^t/i.test(trueFalse[1]) ? 'True' : 'False'] };
+    }
+
+    if (body.startsWith('#')) {
+        return { type: 'numerical', options: [], answers: [body.slice(1).trim()] };
+    }
+
+    const tokens = tokenize(body);
+    if (tokens.some((t) => t.marker === '=' && indexOfUnescaped(t.raw, '->') !== -1)) {
+        const pairs = tokens.map((t) => {
+            const arrow = indexOfUnescaped(t.raw, '->');
+            return `${cleanText(t.raw.slice(0, arrow))} -> ${cleanText(t.raw.slice(arrow + 2))}`;
+        });
+        return { type: 'matching', options: pairs, answers: pairs };
+    }
+
+    if (tokens.every((t) => t.marker === '=')) {
+        return { type: 'shortanswer', options: [], answers: tokens.map((t) => cleanText(t.raw)) };
+    }
+
+    return {
+        type: 'multichoice',
+        options: tokens.map((t) => cleanText(t.raw)),
+        answers: tokens
+            .filter((t) => t.marker === '=' || (t.weight !== null && t.weight > 0))
+            .map((t) => cleanText(t.raw)),
+    };
+};
+
+const parseQuestion = (block, category) => {
+    let rest = block.trim();
+    let title = '';
+    if (rest.startsWith('::')) {
+        const end = indexOfUnescaped(rest, '::', 2);
+        if (end !== -1) {
+            title = cleanText(rest.slice(2, end));
+            rest = rest.slice(end + 2);
+        }
+    }
+
+    const open = indexOfUnescaped(rest, '{');
+    if (open === -1) {
+        return { title, question: cleanText(rest), type: 'description', options: [], answers: [], category };
+    }
+
+    const close = indexOfUnescaped(rest, '}', open + 1);
+    if (close === -1) {
+        throw new Error(`Unclosed answer block in GIFT question "${cleanText(rest).slice(0, 60)}"`);
+    }
+
+    // "Missing word" questions put the answer block mid-sentence
+    const before = rest.slice(0, open).trim();
+    const after = rest.slice(close + 1).trim();
+    const question = after ? `${before} _____ ${after}` : before;
+    return { title, question: cleanText(question), ...parseAnswers(rest.slice(open + 1, close)), category };
+};
+
+// Returns [{ title, question, type, options, answers, category }]
+const parseGift = (text) => {
+    const records = [];
+    let category = '';
+    let block = [];
+
+    const flush = () => {
+        const content = block.join('\n').trim();
+        block = [];
+        if (content) records.push(parseQuestion(content, category));
+    };
+
+    for (const line of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('//')) continue;
+
+        const categoryMatch = trimmed.match(/^\$CATEGORY:\s*(.*)$/i);
+        if (categoryMatch) {
+            flush();
+            category = categoryMatch[1].trim();
+            continue;
+        }
+
+        if (trimmed === '') {
+            // Blank lines inside an open answer block do not end the question
+            const content = block.join('\n');
+            const open = indexOfUnescaped(content, '{');
+            if (open === -1 || indexOfUnescaped(content, '}', open) !== -1) flush();
+            continue;
+        }
+        block.push(line);
+    }
+    flush();
+
+    return records;
+};
+
+const answerBlock = ({ type, options, answers }) => {
+    const kind = type || (options.length > 0 ? 'multichoice' : answers.length > 0 ? 'shortanswer' : 'essay');
+    switch (kind) {
+        case 'description':
+            return '';
+        case 'truefalse':
+            return ` {${/^t/i.test(answers[0] || '') ? 'TRUE' : 'FALSE'}}`;
+        case 'numerical':
+            return ` {#${answers[0] || ''}}`;
+        case 'shortanswer':
+            return ` {${answers.map((a) => `=${escapeGift(a)}`).join(' ')}}`;
+        case 'matching':
+            return ` {\n${options.map((pair) => {
+                const [left, right = ''] = pair.split(' -> ');
+                return `\t=${escapeGift(left)} -> ${escapeGift(right)}`;
+            }).join('\n')}\n}`;
+        case 'multichoice': {
+            // Several correct options share the credit through weights
+            const weight = answers.length > 1 ? `%${Number((100 / answers.length).toFixed(5))}%` : '';
+            return ` {\n${options.map((option) => {
+                if (!answers.includes(option)) return `\t~${escapeGift(option)}`;
+                return weight ? `\t~${weight}${escapeGift(option)}` : `\t=${escapeGift(option)}`;
+            }).join('\n')}\n}`;
+        }
+        default:
+            return ' {}';
+    }
+};
+
+// records: [{ title?, question, type?, options, answers, category? }]
+const serializeGift = (records) => {
+    const lines = [];
+    let category = '';
+    records.forEach((record) => {
+        if (record.category && record.category !== category) {
+            category = record.category;
+            lines.push(`$CATEGORY: ${category}`, '');
+        }
+        const title = record.title ? `::${escapeGift(record.title)}:: ` : '';
+        lines.push(`${title}${escapeGift(record.question)}${answerBlock(record)}`, '');
+    });
+    return lines.join('\n');
+};
+
+module.exports = {
+    parseGift,
+    serializeGift,
+};
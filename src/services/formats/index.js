@@ -0,0 +1,143 @@
+// src/services/formats/index.js
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+const { parseJsonl, serializeJsonl } = require('./jsonl');
+const { parseGift, serializeGift } = require('./gift');
+const { parseQti, serializeQti } = require('./qti');
+const {
+    recordsToWorkbook,
+    questionBankWorkbook,
+    workbookToRecords,
+    findField,
+    splitList,
+} = require('./table');
+
+const FORMATS = {
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    jsonl: { extension: 'jsonl', contentType: 'application/x-ndjson; charset=utf-8' },
+    gift: { extension: 'gift', contentType: 'text/plain; charset=utf-8' },
+    qti: { extension: 'xml', contentType: 'application/xml; charset=utf-8' },
+};
+
+const FORMAT_NAMES = Object.keys(FORMATS);
+
+// Extensions that name their format outright; anything else (.txt, none) is sniffed
+const EXTENSION_FORMATS = {
+    '.xlsx': 'xlsx',
+    '.xls': 'xlsx',
+    '.csv': 'csv',
+    '.jsonl': 'jsonl',
+    '.ndjson': 'jsonl',
+    '.gift': 'gift',
+    '.xml': 'qti',
+};
+
+const SUPPORTED_EXTENSIONS = [...Object.keys(EXTENSION_FORMATS), '.txt'];
+
+const SNIFF_BYTES = 4096;
+
+const detectFormat = (filePath, originalName = '') => {
+    const byExtension = EXTENSION_FORMATS[path.extname(originalName).toLowerCase()];
+    if (byExtension) return byExtension;
+
+    const head = Buffer.alloc(SNIFF_BYTES);
+    const fd = fs.openSync(filePath, 'r');
+    let length;
+    try {
+        length = fs.readSync(fd, head, 0, SNIFF_BYTES, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    // Zip container (xlsx) or OLE compound file (xls)
+    if ((head[0] === 0x50 && head[1] === 0x4b) || (head[0] === 0xd0 && head[1] === 0xcf)) return 'xlsx';
+
+    const text = head.subarray(0, length).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    if (text.startsWith('<')) return 'qti';
+    if (text.startsWith('{')) return 'jsonl';
+    if (/(^|\n)\s*(::|\$CATEGORY:)/i.test(text) || /\{[^}]*[=~][^}]*\}/.test(text)) return 'gift';
+    return 'csv';
+};
+
+// Every format is read into an xlsx workbook, so the Excel ingestion options and
+// provenance (sheet/row) apply unchanged; GIFT and QTI become QUESTION_BANK_COLUMNS sheets
+const readWorkbook = (filePath, format) => {
+    if (format === 'xlsx') return xlsx.readFile(filePath);
+
+    const text = fs.readFileSync(filePath, 'utf8');
+    switch (format) {
+        case 'csv':
+            return xlsx.read(text.replace(/^\uFEFF/, ''), { type: 'string', raw: true });
+        case 'jsonl':
+            return recordsToWorkbook(parseJsonl(text), 'Questions');
+        case 'gift':
+            return questionBankWorkbook(parseGift(text));
+        case 'qti':
+            return questionBankWorkbook(parseQti(text));
+        default:
+            throw new Error(`Unknown input format "${format}" (expected ${FORMAT_NAMES.join(', ')})`);
+    }
+};
+
+// Map table records onto GIFT/QTI question fields; `questionField` names the question column
+const toQuestionRecords = (records, questionField) => {
+    const field = (names) => findField(records, names);
+    const fields = {
+        id: field(['id', 'question id', 'ident', 'identifier']),
+        title: field(['title', 'name']),
+        type: field(['type', 'question type']),
+        options: field(['options', 'choices', 'answers list', 'distractors']),
+        answers: field(['answer', 'answers', 'correct answer', 'correct', 'key', 'answer key']),
+        category: field(['category', 'topic']),
+    };
+    const value = (record, name) => (fields[name] ? String(record[fields[name]] ?? '').trim() : '');
+
+    return records.map((record) => ({
+        id: value(record, 'id'),
+        title: value(record, 'title'),
+        question: String(record[questionField] ?? '').trim(),
+        type: value(record, 'type'),
+        options: splitList(value(record, 'options')),
+        answers: splitList(value(record, 'answers')),
+        category: value(record, 'category'),
+    }));
+};
+
+// Write a workbook (first row of each sheet = headers) in the given format.
+// GIFT and QTI need `questionField`, the header of the question column.
+const writeWorkbook = (workbook, filePath, format, { questionField = 'Question', title } = {}) => {
+    switch (format) {
+        case 'xlsx':
+            xlsx.writeFile(workbook, filePath, { bookType: 'xlsx' });
+            return;
+        case 'csv': {
+            const records = workbookToRecords(workbook);
+            const csv = xlsx.utils.sheet_to_csv(recordsToWorkbook(records, 'Sheet1').Sheets.Sheet1);
+            fs.writeFileSync(filePath, `\uFEFF${csv}\n`);
+            return;
+        }
+        case 'jsonl':
+            fs.writeFileSync(filePath, serializeJsonl(workbookToRecords(workbook)));
+            return;
+        case 'gift':
+            fs.writeFileSync(filePath, serializeGift(toQuestionRecords(workbookToRecords(workbook), questionField)));
+            return;
+        case 'qti':
+            fs.writeFileSync(filePath, serializeQti(toQuestionRecords(workbookToRecords(workbook), questionField), { title }));
+            return;
+        default:
+            throw new Error(`Unknown output format "${format}" (expected ${FORMAT_NAMES.join(', ')})`);
+    }
+};
+
+module.exports = {
+    FORMATS,
+    FORMAT_NAMES,
+    SUPPORTED_EXTENSIONS,
+    detectFormat,
+    readWorkbook,
+    writeWorkbook,
+    recordsToWorkbook,
+};
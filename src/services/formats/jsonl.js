@@ -0,0 +1,27 @@
+// src/services/formats/jsonl.js
+
+// One JSON object per line; blank lines are ignored
+const parseJsonl = (text) => {
+    const records = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+        if (line.trim() === '') return;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (err) {
+            throw new Error(`Invalid JSON on line ${i + 1}: ${err.message}`);
+        }
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw new Error(`Line ${i + 1} is not a JSON object`);
+        }
+        records.push(record);
+    });
+    return records;
+};
+
+const serializeJsonl = (records) => records.map((record) => JSON.stringify(record)).join('\n') + '\n';
+
+module.exports = {
+    parseJsonl,
+    serializeJsonl,
+};
@@ -0,0 +1,199 @@
+// src/services/formats/qti.js
+const { XMLParser } = require('fast-xml-parser');
+
+// IMS QTI: reads 1.2 <item> elements (questestinterop) and 2.x <assessmentItem>
+// elements; writes a single QTI 1.2 questestinterop document.
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    removeNSPrefix: true,
+    trimValues: true,
+});
+
+const asArray = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+const stripHtml = (text) => String(text)
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// All text under a node, skipping attributes and the named child elements
+const textOf = (node, skip = []) => {
+    if (node === null || node === undefined) return '';
+    if (typeof node !== 'object') return String(node);
+    if (Array.isArray(node)) return node.map((n) => textOf(n, skip)).join(' ');
+    return Object.entries(node)
+        .filter(([key]) => !key.startsWith('@_') && !skip.includes(key))
+        .map(([, value]) => textOf(value, skip))
+        .join(' ');
+};
+
+// Every element named `name` anywhere below `node`
+const findAll = (node, name, found = []) => {
+    if (!node || typeof node !== 'object') return found;
+    if (Array.isArray(node)) {
+        node.forEach((n) => findAll(n, name, found));
+        return found;
+    }
+    for (const [key, value] of Object.entries(node)) {
+        if (key.startsWith('@_')) continue;
+        if (key === name) found.push(...asArray(value));
+        findAll(value, name, found);
+    }
+    return found;
+};
+
+const metadataField = (item, label) => {
+    const field = findAll(item, 'qtimetadatafield').find((f) => textOf(f.fieldlabel).trim() === label);
+    return field ? textOf(field.fieldentry).trim() : '';
+};
+
+const QTI1_TYPES = {
+    multiple_choice_question: 'multichoice',
+    multiple_answers_question: 'multichoice',
+    true_false_question: 'truefalse',
+    short_answer_question: 'shortanswer',
+    numerical_question: 'numerical',
+    essay_question: 'essay',
+    matching_question: 'matching',
+    text_only_question: 'description',
+};
+
+const parseQti1Item = (item) => {
+    const presentation = item.presentation || {};
+    // Fill-in-the-blank responses also use (empty) response_label elements
+    const labels = findAll(presentation, 'response_label').filter((label) => stripHtml(textOf(label)) !== '');
+    const optionText = new Map(labels.map((label) => [String(label['@_ident']), stripHtml(textOf(label))]));
+    const stemMaterial = asArray(presentation.material)[0] || presentation;
+    const correct = findAll(item.resprocessing, 'respcondition')
+        .filter((condition) => asArray(condition.setvar).some((v) => Number(textOf(v)) > 0))
+        .flatMap((condition) => findAll(condition.conditionvar, 'varequal').map((v) => textOf(v).trim()));
+
+    const options = [...optionText.values()];
+    return {
+        id: item['@_ident'] || '',
+        title: item['@_title'] || '',
+        question: stripHtml(textOf(stemMaterial, ['response_lid', 'response_str', 'response_num'])),
+        type: QTI1_TYPES[metadataField(item, 'question_type')] || (options.length > 0 ? 'multichoice' : 'shortanswer'),
+        options,
+        answers: correct.map((ident) => optionText.get(ident) || ident),
+        category: '',
+    };
+};
+
+const parseQti2Item = (item) => {
+    const body = item.itemBody || {};
+    const choices = findAll(body, 'simpleChoice');
+    const optionText = new Map(choices.map((choice) => [String(choice['@_identifier']), stripHtml(textOf(choice))]));
+    const correct = findAll(item.responseDeclaration, 'correctResponse')
+        .flatMap((response) => asArray(response.value).map((v) => textOf(v).trim()));
+
+    const options = [...optionText.values()];
+    let type = 'essay';
+    if (findAll(body, 'choiceInteraction').length > 0) type = 'multichoice';
+    else if (findAll(body, 'textEntryInteraction').length > 0) type = 'shortanswer';
+    else if (findAll(body, 'matchInteraction').length > 0) type = 'matching';
+
+    return {
+        id: item['@_identifier'] || '',
+        title: item['@_title'] || '',
+        question: stripHtml(textOf(body, ['simpleChoice', 'simpleAssociableChoice'])),
+        type,
+        options,
+        answers: correct.map((ident) => optionText.get(ident) || ident),
+        category: '',
+    };
+};
+
+// Returns [{ id, title, question, type, options, answers, category }]
+const parseQti = (text) => {
+    let doc;
+    try {
+        doc = parser.parse(text);
+    } catch (err) {
+        throw new Error(`Invalid QTI XML: ${err.message}`);
+    }
+
+    const records = [
+        ...findAll(doc, 'item').map(parseQti1Item),
+        ...findAll(doc, 'assessmentItem').map(parseQti2Item),
+    ];
+    if (records.length === 0) {
+        throw new Error('No QTI items found (expected <item> or <assessmentItem> elements)');
+    }
+    return records;
+};
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// First QTI name per type, so multichoice maps to multiple_choice_question
+const QTI1_TYPE_NAMES = Object.fromEntries(Object.entries(QTI1_TYPES).reverse().map(([name, type]) => [type, name]));
+
+const mattext = (text) => `<material><mattext texttype="text/plain">${escapeXml(text)}</mattext></material>`;
+
+const serializeItem = (record, index) => {
+    const ident = record.id || `item-${index + 1}`;
+    const type = record.type || (record.options.length > 0 ? 'multichoice' : record.answers.length > 0 ? 'shortanswer' : 'essay');
+    const typeName = record.answers.length > 1 && type === 'multichoice'
+        ? 'multiple_answers_question'
+        : QTI1_TYPE_NAMES[type] || 'essay_question';
+
+    let response;
+    let conditions;
+    if (record.options.length > 0) {
+        const idents = record.options.map((_, i) => `${ident}-choice-${i + 1}`);
+        response = [
+            `<response_lid ident="response1" rcardinality="${record.answers.length > 1 ? 'Multiple' : 'Single'}"><render_choice>`,
+            ...record.options.map((option, i) => `<response_label ident="${escapeXml(idents[i])}">${mattext(option)}</response_label>`),
+            '</render_choice></response_lid>',
+        ].join('');
+        conditions = record.options
+            .map((option, i) => (record.answers.includes(option) ? idents[i] : null))
+            .filter(Boolean)
+            .map((id) => `<varequal respident="response1">${escapeXml(id)}</varequal>`);
+    } else {
+        response = '<response_str ident="response1" rcardinality="Single"><render_fib><response_label ident="answer1"/></render_fib></response_str>';
+        conditions = record.answers.map((answer) => `<varequal respident="response1">${escapeXml(answer)}</varequal>`);
+    }
+
+    const resprocessing = conditions.length > 0
+        ? [
+            '<resprocessing><outcomes><decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/></outcomes>',
+            '<respcondition continue="No"><conditionvar>',
+            conditions.length > 1 && record.options.length > 0 ? `<and>${conditions.join('')}</and>` : conditions.join(''),
+            '</conditionvar><setvar action="Set" varname="SCORE">100</setvar></respcondition></resprocessing>',
+        ].join('')
+        : '';
+
+    return [
+        `      <item ident="${escapeXml(ident)}" title="${escapeXml(record.title || ident)}">`,
+        `        <itemmetadata><qtimetadata><qtimetadatafield><fieldlabel>question_type</fieldlabel><fieldentry>${typeName}</fieldentry></qtimetadatafield></qtimetadata></itemmetadata>`,
+        `        <presentation>${mattext(record.question)}${response}</presentation>`,
+        resprocessing ? `        ${resprocessing}` : null,
+        '      </item>',
+    ].filter(Boolean).join('\n');
+};
+
+// records: [{ id?, title?, question, type?, options, answers }]
+const serializeQti = (records, { title = 'Question bank' } = {}) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<questestinterop xmlns="http://www.imsglobal.org/xsd/ims_qtiasiv1p2">',
+    `  <assessment ident="bank" title="${escapeXml(title)}">`,
+    '    <section ident="root_section">',
+    ...records.map(serializeItem),
+    '    </section>',
+    '  </assessment>',
+    '</questestinterop>',
+    '',
+].join('\n');
+
+module.exports = {
+    parseQti,
+    serializeQti,
+};
@@ -0,0 +1,63 @@
+// src/services/formats/table.js
+const xlsx = require('xlsx');
+
+// Sheet columns for question banks parsed from GIFT and QTI, mapped to record fields;
+// list cells (options, answers) hold one entry per line
+const QUESTION_BANK_COLUMNS = {
+    ID: 'id',
+    Title: 'title',
+    Question: 'question',
+    Type: 'type',
+    Options: 'options',
+    Answer: 'answers',
+    Category: 'category',
+};
+
+const LIST_SEPARATOR = '\n';
+
+const toCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(toCell).join(LIST_SEPARATOR);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+};
+
+// Records (plain objects) become one sheet; columns follow first appearance unless given
+const recordsToWorkbook = (records, sheetName, columns = null) => {
+    const header = columns || [...new Set(records.flatMap((record) => Object.keys(record)))];
+    const rows = [header, ...records.map((record) => header.map((col) => toCell(record[col])))];
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(rows), sheetName);
+    return workbook;
+};
+
+// Every sheet's rows as objects keyed by the sheet's first-row headers
+const workbookToRecords = (workbook) => workbook.SheetNames.flatMap((name) =>
+    xlsx.utils.sheet_to_json(workbook.Sheets[name], { defval: '' }));
+
+// First record key whose name matches one of `names`, case-insensitively
+const findField = (records, names) => {
+    const keys = [...new Set(records.flatMap((record) => Object.keys(record)))];
+    return keys.find((key) => names.includes(key.toLowerCase().trim())) || null;
+};
+
+const questionBankWorkbook = (questions) => recordsToWorkbook(
+    questions.map((question) => Object.fromEntries(
+        Object.entries(QUESTION_BANK_COLUMNS).map(([column, field]) => [column, question[field]]),
+    )),
+    'Questions',
+    Object.keys(QUESTION_BANK_COLUMNS),
+);
+
+const splitList = (value) => String(value || '')
+    .split(LIST_SEPARATOR)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+module.exports = {
+    recordsToWorkbook,
+    questionBankWorkbook,
+    workbookToRecords,
+    findField,
+    splitList,
+};
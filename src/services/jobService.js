@@ -0,0 +1,216 @@
+// src/services/jobService.js
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createMutex } = require('../utils/mutex');
+const { logger } = require('../utils/logger');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const PROGRESS_WRITE_INTERVAL_MS = 2000;
+
+const isAbortError = (err) => err && err.name === 'AbortError';
+
+// Background jobs persisted as one JSON file each under `dir`, run through
+// `runner(job, { signal, reportProgress, checkpoint })`; a job that was queued or running
+// when the server stopped is re-queued on the next start, and the runner can resume from
+// the last checkpoint it saved. `owner()` names whoever creates a job (read when it is
+// created) and is stored as job.owner. Up to `maxConcurrent` jobs run at once but only one
+// per owner, oldest first, so one client's backlog of uploads never holds up another's.
+const createJobService = ({ dir, runner, onFinished = async () => {}, owner = () => null, maxConcurrent = 2 }) => {
+    const jobs = new Map();
+    const controllers = new Map();
+    const lastWrite = new Map();
+    // Queued jobs in creation order, and the owners with a job running
+    const queue = [];
+    const busyOwners = new Set();
+
+    // Writes share one temp file name per job, so they go one at a time (a cancel can
+    // land while the runner is saving progress)
+    const withLock = createMutex();
+
+    const jobFile = (id) => path.join(dir, `${id}.json`);
+
+    const persist = (job) => withLock(async () => {
+        const tmpPath = `${jobFile(job.id)}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(job, null, 2));
+        await fs.rename(tmpPath, jobFile(job.id));
+        lastWrite.set(job.id, Date.now());
+    });
+
+    const computeEta = (job) => {
+        const { rowsDone, rowsTotal } = job.progress;
+        const rowsThisRun = rowsDone - (job.progress.resumedAt || 0);
+        if (!job.startedAt || rowsThisRun <= 0 || !rowsTotal) return null;
+        const elapsed = (Date.now() - Date.parse(job.startedAt)) / 1000;
+        return Math.round((elapsed / rowsThisRun) * (rowsTotal - rowsDone));
+    };
+
+    const run = async (job) => {
+        if (job.status !== 'queued') return;
+
+        const controller = new AbortController();
+        controllers.set(job.id, controller);
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        job.progress.resumedAt = job.progress.rowsDone;
+        await persist(job);
+
+        const reportProgress = async (progress) => {
+            Object.assign(job.progress, progress);
+            job.progress.etaSeconds = computeEta(job);
+            if (Date.now() - (lastWrite.get(job.id) || 0) >= PROGRESS_WRITE_INTERVAL_MS) {
+                await persist(job);
+            }
+        };
+
+        const checkpoint = async (data) => {
+            job.checkpoint = data;
+            await persist(job);
+        };
+
+        try {
+            job.result = await runner(job, { signal: controller.signal, reportProgress, checkpoint });
+            job.status = 'completed';
+        } catch (err) {
+            if (isAbortError(err) || controller.signal.aborted) {
+                job.status = 'cancelled';
+            } else {
+                logger.error('Job failed', { jobId: job.id, error: err });
+                job.status = 'failed';
+                job.error = err.message;
+            }
+        } finally {
+            controllers.delete(job.id);
+            job.finishedAt = new Date().toISOString();
+            job.progress.etaSeconds = job.status === 'completed' ? 0 : null;
+            delete job.checkpoint;
+            await persist(job);
+            await onFinished(job).catch((err) => logger.error('Job cleanup failed', { jobId: job.id, error: err }));
+        }
+    };
+
+    const ownerKey = (job) => job.owner || 'system';
+
+    // Starts the oldest queued jobs whose owners have nothing running, while slots are free
+    const dispatch = () => {
+        while (busyOwners.size < maxConcurrent) {
+            const next = queue.findIndex((job) => !busyOwners.has(ownerKey(job)));
+            if (next === -1) return;
+            const [job] = queue.splice(next, 1);
+            const key = ownerKey(job);
+            busyOwners.add(key);
+            run(job)
+                .catch((err) => logger.error('Job could not be run', { jobId: job.id, error: err }))
+                .finally(() => {
+                    busyOwners.delete(key);
+                    dispatch();
+                });
+        }
+    };
+
+    const schedule = (job) => {
+        queue.push(job);
+        dispatch();
+    };
+
+    const init = async () => {
+        await fs.mkdir(dir, { recursive: true });
+        const files = (await fs.readdir(dir)).filter((f) => f.endsWith('.json'));
+        const resumable = [];
+
+        for (const file of files) {
+            try {
+                const job = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+                jobs.set(job.id, job);
+                if (ACTIVE_STATUSES.includes(job.status) && job.cancelRequested) {
+                    job.status = 'cancelled';
+                    job.finishedAt = new Date().toISOString();
+                    delete job.checkpoint;
+                    await persist(job);
+                    await onFinished(job).catch((err) => logger.error('Job cleanup failed', { jobId: job.id, error: err }));
+                } else if (ACTIVE_STATUSES.includes(job.status)) {
+                    job.status = 'queued';
+                    resumable.push(job);
+                }
+            } catch (err) {
+                logger.error('Skipping unreadable job file', { file, error: err.message });
+            }
+        }
+
+        resumable
+            .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))
+            .forEach((job) => {
+                logger.info('Resuming job', { jobId: job.id, fromRow: job.progress.rowsDone });
+                schedule(job);
+            });
+    };
+
+    const create = async (input) => {
+        const job = {
+            id: `job-${uuidv4()}`,
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            owner: owner(),
+            input,
+            progress: { rowsTotal: null, rowsDone: 0, duplicates: 0, etaSeconds: null },
+            result: null,
+            error: null,
+        };
+        jobs.set(job.id, job);
+        await persist(job);
+        schedule(job);
+        return job;
+    };
+
+    const get = (id) => jobs.get(id) || null;
+
+    // Jobs that are queued or running, oldest first
+    const active = () => [...jobs.values()]
+        .filter((job) => ACTIVE_STATUSES.includes(job.status))
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+
+    // Cancels a queued or running job; returns null for unknown ids
+    const cancel = async (id) => {
+        const job = jobs.get(id);
+        if (!job) return null;
+        if (!ACTIVE_STATUSES.includes(job.status)) return job;
+
+        if (controllers.has(id)) {
+            job.cancelRequested = true;
+            controllers.get(id).abort();
+            await persist(job);
+        } else {
+            const queued = queue.indexOf(job);
+            if (queued !== -1) queue.splice(queued, 1);
+            job.status = 'cancelled';
+            job.finishedAt = new Date().toISOString();
+            await persist(job);
+            await onFinished(job).catch((err) => logger.error('Job cleanup failed', { jobId: job.id, error: err }));
+        }
+        return job;
+    };
+
+    const counts = () => {
+        const result = {};
+        for (const job of jobs.values()) {
+            result[job.status] = (result[job.status] || 0) + 1;
+        }
+        return result;
+    };
+
+    return {
+        init,
+        create,
+        get,
+        active,
+        cancel,
+        counts,
+        isActive: (job) => ACTIVE_STATUSES.includes(job.status),
+    };
+};
+
+module.exports = {
+    createJobService,
+};
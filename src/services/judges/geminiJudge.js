@@ -0,0 +1,35 @@
+// src/services/judges/geminiJudge.js
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const createGeminiJudge = ({ apiKey, model }) => {
+    if (!apiKey) {
+        throw new Error('GEMINI_API_KEY is required for the gemini judge provider');
+    }
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const generativeModel = genAI.getGenerativeModel({ model });
+
+    // With a schema, Gemini is asked for structured JSON output (responseMimeType/responseSchema)
+    const generate = async ({ prompt, schema, signal }) => {
+        const result = await generativeModel.generateContent({
+            contents: [{ role: 'user', parts: [{ text: prompt }] }],
+            generationConfig: schema
+                ? { responseMimeType: 'application/json', responseSchema: schema, temperature: 0 }
+                : undefined,
+        }, signal ? { signal } : undefined);
+        const response = await result.response;
+        return response.text().trim();
+    };
+
+    const ping = () => generate({ prompt: 'Test API connectivity' });
+
+    return {
+        name: 'gemini',
+        model,
+        generate,
+        ping,
+    };
+};
+
+module.exports = {
+    createGeminiJudge,
+};
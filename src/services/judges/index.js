@@ -0,0 +1,47 @@
+// src/services/judges/index.js
+const { createGeminiJudge } = require('./geminiJudge');
+const { createOpenAiJudge } = require('./openaiJudge');
+const { createMockJudge } = require('./mockJudge');
+const { PROMPT_VERSION, buildPairPrompt, buildSimplifiedPrompt, buildBatchPrompt, buildTranslationPrompt } = require('./prompts');
+const {
+    VERDICT_SCHEMA,
+    BATCH_VERDICT_SCHEMA,
+    validateVerdict,
+    parseVerdict,
+    parseBatchVerdicts,
+} = require('./verdict');
+
+// A judge provider answers "are these the same question". Every provider exposes
+// { name, model, generate({ prompt, schema, pairs, batch, translation, signal }) -> raw text,
+// ping() }; an aborted `signal` cancels the call. `pairs` and `translation` restate what the
+// prompt asks, for the mock judge.
+const createJudge = (config) => {
+    switch (config.provider) {
+        case 'gemini':
+            return createGeminiJudge({ apiKey: config.geminiApiKey, model: config.geminiModel });
+        case 'openai':
+            return createOpenAiJudge({
+                baseUrl: config.openaiBaseUrl,
+                apiKey: config.openaiApiKey,
+                model: config.openaiModel,
+            });
+        case 'mock':
+            return createMockJudge({ threshold: config.similarityThreshold });
+        default:
+            throw new Error(`Unknown judge provider "${config.provider}" (expected gemini, openai or mock)`);
+    }
+};
+
+module.exports = {
+    createJudge,
+    PROMPT_VERSION,
+    buildPairPrompt,
+    buildSimplifiedPrompt,
+    buildBatchPrompt,
+    buildTranslationPrompt,
+    VERDICT_SCHEMA,
+    BATCH_VERDICT_SCHEMA,
+    validateVerdict,
+    parseVerdict,
+    parseBatchVerdicts,
+};
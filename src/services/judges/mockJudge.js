@@ -0,0 +1,63 @@
+// src/services/judges/mockJudge.js
+const stringSimilarity = require('string-similarity');
+const { translateWords } = require('../translationService');
+
+const tokenize = (text) => new Set(text.toLowerCase().match(/[a-z0-9]+/g) || []);
+
+const jaccard = (a, b) => {
+    const setA = tokenize(a);
+    const setB = tokenize(b);
+    if (setA.size === 0 && setB.size === 0) return 1;
+    let shared = 0;
+    setA.forEach((token) => {
+        if (setB.has(token)) shared++;
+    });
+    return shared / (setA.size + setB.size - shared);
+};
+
+// Deterministic, offline judge: scores pairs from the question texts it is given
+// instead of the prompt, so the whole pipeline can run and be tested without a network.
+// Translation requests get the mock translator's word-for-word English.
+const createMockJudge = ({ threshold = 0.85 } = {}) => {
+    const judgePair = ({ question1, question2 }) => {
+        const dice = stringSimilarity.compareTwoStrings(question1.toLowerCase(), question2.toLowerCase());
+        const overlap = jaccard(question1, question2);
+        const similarityScore = Number(((dice + overlap) / 2).toFixed(4));
+        return {
+            similarityScore,
+            isSameQuestion: similarityScore >= threshold,
+            reasons: [`Mock judge bigram similarity ${dice.toFixed(2)} and token overlap ${overlap.toFixed(2)}`],
+            analysis: 'Deterministic verdict from the offline mock judge',
+        };
+    };
+
+    const generate = async ({ pairs = [], batch = false, translation = null, signal }) => {
+        if (signal) signal.throwIfAborted();
+        if (translation) {
+            const text = translation.to === 'en' ? translateWords(translation.text, translation.from) : translation.text;
+            return JSON.stringify({ translation: text });
+        }
+        if (pairs.length === 0) {
+            return JSON.stringify({ status: 'ok', provider: 'mock' });
+        }
+        if (batch) {
+            return JSON.stringify({
+                verdicts: pairs.map((pair, i) => ({ candidate: i + 1, ...judgePair(pair) })),
+            });
+        }
+        return JSON.stringify(judgePair(pairs[0]));
+    };
+
+    const ping = async () => 'mock judge ready';
+
+    return {
+        name: 'mock',
+        model: 'mock-judge-v1',
+        generate,
+        ping,
+    };
+};
+
+module.exports = {
+    createMockJudge,
+};
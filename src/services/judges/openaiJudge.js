@@ -0,0 +1,65 @@
+// src/services/judges/openaiJudge.js
+const axios = require('axios');
+
+// OpenAI strict structured outputs require additionalProperties: false on every object
+const toStrictJsonSchema = (schema) => {
+    if (schema.type === 'object') {
+        const properties = {};
+        for (const [key, value] of Object.entries(schema.properties)) {
+            properties[key] = toStrictJsonSchema(value);
+        }
+        return { ...schema, properties, additionalProperties: false };
+    }
+    if (schema.type === 'array') {
+        return { ...schema, items: toStrictJsonSchema(schema.items) };
+    }
+    return schema;
+};
+
+// Any server speaking the OpenAI chat completions API (OpenAI, Azure, vLLM, Ollama, ...)
+const createOpenAiJudge = ({ baseUrl, apiKey, model, timeoutMs = 60000 }) => {
+    const client = axios.create({
+        baseURL: baseUrl.replace(/\/+$/, ''),
+        timeout: timeoutMs,
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    });
+
+    const generate = async ({ prompt, schema, signal }) => {
+        try {
+            const { data } = await client.post('/chat/completions', {
+                model,
+                temperature: 0,
+                messages: [{ role: 'user', content: prompt }],
+                response_format: schema
+                    ? { type: 'json_schema', json_schema: { name: 'verdict', strict: true, schema: toStrictJsonSchema(schema) } }
+                    : undefined,
+            }, { signal });
+            const choice = data.choices && data.choices[0];
+            if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+                throw new Error('OpenAI-compatible response had no message content');
+            }
+            return choice.message.content.trim();
+        } catch (err) {
+            // Surface the HTTP status the same way the Gemini SDK does, so 429 retries work
+            if (err.response) {
+                const wrapped = new Error(`OpenAI-compatible API error ${err.response.status}: ${err.message}`);
+                wrapped.status = err.response.status;
+                throw wrapped;
+            }
+            throw err;
+        }
+    };
+
+    const ping = () => generate({ prompt: 'Test API connectivity' });
+
+    return {
+        name: 'openai',
+        model,
+        generate,
+        ping,
+    };
+};
+
+module.exports = {
+    createOpenAiJudge,
+};
@@ -0,0 +1,50 @@
+// src/services/judges/prompts.js
+
+// Bump whenever a prompt changes meaning, so stored verdicts can be told apart
+const PROMPT_VERSION = 3;
+
+const buildPairPrompt = (question1, question2) => `You are reviewing a question bank for duplicates.
+Decide whether the two questions below ask the same thing, even if they are worded differently.
+Scenarios that differ only in the names of the people in them ask the same thing.
+Question 1: ${JSON.stringify(question1)}
+Question 2: ${JSON.stringify(question2)}
+Respond with a JSON object with:
+- "similarityScore": a number from 0 (unrelated) to 1 (same meaning)
+- "isSameQuestion": true if a student answering one has effectively answered the other
+- "reasons": short strings explaining the decision
+- "analysis": one or two sentences summarising the comparison`;
+
+// Shorter retry prompt used after an invalid verdict; it carries no scores of our own
+const buildSimplifiedPrompt = (question1, question2) => `Do these two questions ask the same thing?
+Question 1: ${JSON.stringify(question1)}
+Question 2: ${JSON.stringify(question2)}
+Reply with JSON only: {"similarityScore": <0..1>, "isSameQuestion": <true|false>, "reasons": [<strings>], "analysis": <string>}`;
+
+// One incoming question against several stored candidates, answered in a single call
+const buildBatchPrompt = (question, candidates) => `You are reviewing a question bank for duplicates.
+Compare the incoming question with each numbered candidate and decide, for every candidate separately,
+whether it asks the same thing as the incoming question, even if worded differently.
+Scenarios that differ only in the names of the people in them ask the same thing.
+Incoming question: ${JSON.stringify(question)}
+Candidates:
+${candidates.map((candidate, i) => `${i + 1}. ${JSON.stringify(candidate)}`).join('\n')}
+Respond with a JSON object {"verdicts": [...]} containing exactly one entry per candidate with:
+- "candidate": the candidate number
+- "similarityScore": a number from 0 (unrelated) to 1 (same meaning)
+- "isSameQuestion": true if a student answering one has effectively answered the other
+- "reasons": short strings explaining the decision
+- "analysis": one or two sentences summarising the comparison`;
+
+// Translate-then-compare: a question is translated before it is judged against the bank
+const buildTranslationPrompt = (text, fromLanguage, toLanguage) => `Translate this exam question from language "${fromLanguage}" into language "${toLanguage}" (ISO 639-1 codes).
+Keep names, numbers, units and technical terms as they are and do not answer the question.
+Question: ${JSON.stringify(text)}
+Respond with a JSON object {"translation": <the translated question>}`;
+
+module.exports = {
+    PROMPT_VERSION,
+    buildPairPrompt,
+    buildSimplifiedPrompt,
+    buildBatchPrompt,
+    buildTranslationPrompt,
+};
@@ -0,0 +1,145 @@
+// src/services/judges/verdict.js
+
+// Response schema sent to providers that support structured output. Uses the
+// OpenAPI subset Gemini accepts, which is also valid JSON Schema.
+const VERDICT_SCHEMA = {
+    type: 'object',
+    properties: {
+        similarityScore: { type: 'number', description: 'Similarity from 0 (unrelated) to 1 (identical meaning)' },
+        isSameQuestion: { type: 'boolean', description: 'True when both questions ask the same thing' },
+        reasons: { type: 'array', items: { type: 'string' } },
+        analysis: { type: 'string' },
+    },
+    required: ['similarityScore', 'isSameQuestion', 'reasons', 'analysis'],
+};
+
+const VERDICT_FIELDS = Object.keys(VERDICT_SCHEMA.properties);
+
+// Batched responses: one verdict per numbered candidate
+const BATCH_VERDICT_SCHEMA = {
+    type: 'object',
+    properties: {
+        verdicts: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    candidate: { type: 'integer', description: 'Candidate number from the prompt, starting at 1' },
+                    ...VERDICT_SCHEMA.properties,
+                },
+                required: ['candidate', ...VERDICT_SCHEMA.required],
+            },
+        },
+    },
+    required: ['verdicts'],
+};
+
+// Returns a list of problems; an empty list means the verdict is valid
+const validateVerdict = (value) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return ['verdict must be a JSON object'];
+    }
+
+    const errors = [];
+    for (const field of VERDICT_SCHEMA.required) {
+        if (!(field in value)) errors.push(`missing field "${field}"`);
+    }
+    for (const field of Object.keys(value)) {
+        if (!VERDICT_FIELDS.includes(field)) errors.push(`unexpected field "${field}"`);
+    }
+
+    if ('similarityScore' in value) {
+        const score = value.similarityScore;
+        if (typeof score !== 'number' || !Number.isFinite(score)) {
+            errors.push('similarityScore must be a number');
+        } else if (score < 0 || score > 1) {
+            errors.push('similarityScore must be between 0 and 1');
+        }
+    }
+    if ('isSameQuestion' in value && typeof value.isSameQuestion !== 'boolean') {
+        errors.push('isSameQuestion must be a boolean');
+    }
+    if ('reasons' in value && (!Array.isArray(value.reasons) || value.reasons.some((r) => typeof r !== 'string'))) {
+        errors.push('reasons must be an array of strings');
+    }
+    if ('analysis' in value && typeof value.analysis !== 'string') {
+        errors.push('analysis must be a string');
+    }
+
+    return errors;
+};
+
+const invalidVerdictError = (message, rawText, validationErrors) => {
+    const err = new Error(`Invalid verdict from judge: ${message}`);
+    err.code = 'INVALID_VERDICT';
+    err.rawText = rawText;
+    err.validationErrors = validationErrors;
+    return err;
+};
+
+// Code fences are tolerated for providers without structured output, nothing else is repaired
+const parseJson = (text) => {
+    const unfenced = String(text).trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+    try {
+        return JSON.parse(unfenced);
+    } catch (err) {
+        throw invalidVerdictError(`response is not valid JSON (${err.message})`, text, [err.message]);
+    }
+};
+
+// Parses a judge response and validates it; throws an INVALID_VERDICT error otherwise
+const parseVerdict = (text) => {
+    const parsed = parseJson(text);
+
+    const errors = validateVerdict(parsed);
+    if (errors.length > 0) {
+        throw invalidVerdictError(errors.join('; '), text, errors);
+    }
+    return parsed;
+};
+
+// Parses a batched response for `count` candidates. Returns verdicts keyed by
+// zero-based candidate index plus per-entry errors; candidates without a valid entry
+// are simply absent. Throws INVALID_VERDICT when the envelope itself is malformed.
+const parseBatchVerdicts = (text, count) => {
+    const parsed = parseJson(text);
+    if (parsed === null || typeof parsed !== 'object' || !Array.isArray(parsed.verdicts)) {
+        throw invalidVerdictError('response must be an object with a "verdicts" array', text, ['missing verdicts array']);
+    }
+
+    const verdicts = new Map();
+    const errors = [];
+    parsed.verdicts.forEach((entry, position) => {
+        const { candidate, ...verdict } = entry || {};
+        if (!Number.isInteger(candidate) || candidate < 1 || candidate > count) {
+            errors.push(`entry ${position}: candidate must be an integer from 1 to ${count}`);
+            return;
+        }
+        if (verdicts.has(candidate - 1)) {
+            errors.push(`entry ${position}: duplicate verdict for candidate ${candidate}`);
+            return;
+        }
+        const entryErrors = validateVerdict(verdict);
+        if (entryErrors.length > 0) {
+            errors.push(`candidate ${candidate}: ${entryErrors.join('; ')}`);
+            return;
+        }
+        verdicts.set(candidate - 1, verdict);
+    });
+
+    for (let i = 0; i < count; i++) {
+        if (!verdicts.has(i) && !errors.some((e) => e.startsWith(`candidate ${i + 1}:`))) {
+            errors.push(`candidate ${i + 1}: no verdict returned`);
+        }
+    }
+
+    return { verdicts, errors };
+};
+
+module.exports = {
+    VERDICT_SCHEMA,
+    BATCH_VERDICT_SCHEMA,
+    validateVerdict,
+    parseVerdict,
+    parseBatchVerdicts,
+};
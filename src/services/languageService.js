@@ -0,0 +1,56 @@
+// src/services/languageService.js
+
+// Returned when a text has no words from any profile (numbers only, very short, unsupported)
+const UNDETERMINED = 'und';
+
+// Frequent function words per language (ISO 639-1). Question stems are short, so common
+// words carry most of the signal; words shared by two languages count for both.
+const LANGUAGE_PROFILES = {
+    en: [
+        'the', 'a', 'an', 'is', 'are', 'was', 'were', 'what', 'which', 'who', 'whom', 'how', 'why', 'when',
+        'where', 'of', 'and', 'or', 'to', 'in', 'on', 'for', 'with', 'from', 'by', 'this', 'that', 'these',
+        'does', 'do', 'did', 'can', 'should', 'would', 'will', 'be', 'it', 'its', 'following', 'best', 'not',
+    ],
+    fr: [
+        'le', 'la', 'les', 'l', 'un', 'une', 'des', 'du', 'de', 'd', 'est', 'sont', 'quel', 'quelle', 'quels',
+        'quelles', 'qui', 'que', 'qu', 'quoi', 'comment', 'pourquoi', 'quand', 'où', 'et', 'ou', 'dans', 'pour',
+        'avec', 'sur', 'par', 'au', 'aux', 'ce', 'cette', 'ces', 'il', 'elle', 'doit', 'peut', 'suivant',
+        'suivante', 'meilleur', 'meilleure', 'pas',
+    ],
+    sw: [
+        'ni', 'si', 'nini', 'gani', 'nani', 'vipi', 'kwa', 'na', 'ya', 'wa', 'za', 'la', 'cha', 'vya', 'katika',
+        'je', 'hii', 'huu', 'hiyo', 'hizi', 'kwanini', 'lini', 'wapi', 'kuna', 'au', 'kama', 'upi',
+        'ipi', 'yupi', 'zipi', 'lipi', 'kipi', 'mmoja', 'bora', 'lazima', 'anapaswa', 'inapaswa',
+    ],
+};
+
+const LANGUAGES = Object.keys(LANGUAGE_PROFILES);
+
+// French accented letters; one or more is a strong hint among these profiles
+const FRENCH_LETTERS = /[éèêëàâçùûôîï]/;
+
+const profileSets = Object.fromEntries(LANGUAGES.map((language) => [language, new Set(LANGUAGE_PROFILES[language])]));
+
+const words = (text) => String(text || '').toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+
+// Language of a question: { language, confidence }, where confidence is the winning
+// language's share of all profile hits. Ties keep the earlier language in LANGUAGES.
+const detectLanguage = (text) => {
+    const tokens = words(text);
+    const hits = Object.fromEntries(LANGUAGES.map((language) => [
+        language,
+        tokens.filter((token) => profileSets[language].has(token)).length,
+    ]));
+    if (FRENCH_LETTERS.test(String(text || '').toLowerCase())) hits.fr += 2;
+
+    const total = LANGUAGES.reduce((sum, language) => sum + hits[language], 0);
+    if (total === 0) return { language: UNDETERMINED, confidence: 0 };
+    const language = LANGUAGES.reduce((best, candidate) => (hits[candidate] > hits[best] ? candidate : best));
+    return { language, confidence: Math.round((hits[language] / total) * 100) / 100 };
+};
+
+module.exports = {
+    UNDETERMINED,
+    LANGUAGES,
+    detectLanguage,
+};
@@ -0,0 +1,176 @@
+// src/services/mcqService.js
+const stringSimilarity = require('string-similarity');
+const { splitList } = require('./formats/table');
+
+// Header names recognised as a single cell holding every option, one per line
+const OPTION_LIST_HEADERS = ['options', 'choices', 'answer options', 'answers list', 'distractors'];
+const ANSWER_HEADERS = ['answer', 'answers', 'correct answer', 'correct', 'correct option', 'key', 'answer key', 'right answer'];
+// "Option A", "Choice 2", "A", "Distractor 1" ... one option per column
+const OPTION_HEADER = /^(?:option|choice|answer option|distractor|alternative)?\s*[-_ ]?\s*\(?([a-h]|[1-8])\)?$/i;
+
+const OPTION_MATCH_THRESHOLD = 0.9;
+
+const normalize = (text) => String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+const headerText = (value) => String(value === undefined || value === null ? '' : value).trim();
+
+// Resolve the MCQ columns of a sheet from its header row. Explicit names or letters in
+// `optionColumns`/`answerColumn` win; otherwise headers are matched against the lists above.
+const findMcqColumns = (header, { questionColumn, optionColumns, answerColumn } = {}) => {
+    const entries = Object.entries(header).filter(([col]) => col !== questionColumn);
+    const byName = (name) => {
+        const match = entries.find(([, value]) => headerText(value).toLowerCase() === name.toLowerCase());
+        if (match) return match[0];
+        return /^[A-Z]{1,3}$/i.test(name) ? name.toUpperCase() : null;
+    };
+
+    let options = [];
+    let optionList = null;
+    if (optionColumns && optionColumns.length > 0) {
+        options = optionColumns.map(byName).filter(Boolean);
+    } else {
+        optionList = (entries.find(([, value]) => OPTION_LIST_HEADERS.includes(headerText(value).toLowerCase())) || [])[0] || null;
+        options = entries.filter(([, value]) => OPTION_HEADER.test(headerText(value))).map(([col]) => col);
+    }
+
+    const answer = answerColumn
+        ? byName(answerColumn)
+        : (entries.find(([, value]) => ANSWER_HEADERS.includes(headerText(value).toLowerCase())) || [])[0] || null;
+
+    if (options.length === 0 && !optionList) return null;
+    return { options, optionList, answer };
+};
+
+// Answer keys may be option letters ("B", "A, C"), option numbers or the option text
+const resolveAnswer = (raw, options) => {
+    const parts = splitList(raw).flatMap((part) => part.split(/\s*[,;]\s*/)).filter(Boolean);
+    return parts.map((part) => {
+        const letter = part.match(/^\(?([a-h])\)?$/i);
+        if (letter) {
+            const index = letter[1].toLowerCase().charCodeAt(0) - 97;
+            if (index < options.length) return options[index];
+        }
+        if (/^[1-8]$/.test(part) && Number(part) <= options.length) return options[Number(part) - 1];
+        return part;
+    });
+};
+
+// { options, answer } for one row, or null when the row has fewer than two options
+const extractMcq = (row, columns) => {
+    if (!columns) return null;
+    const options = [
+        ...(columns.optionList ? splitList(row[columns.optionList] || '') : []),
+        ...columns.options.map((col) => headerText(row[col])).filter(Boolean),
+    ];
+    const answer = columns.answer ? resolveAnswer(row[columns.answer] || '', options) : [];
+    // A correct answer kept apart from its distractors is an option too
+    answer.forEach((a) => {
+        if (!options.some((o) => normalize(o) === normalize(a))) options.push(a);
+    });
+    return options.length >= 2 ? { options, answer } : null;
+};
+
+const bestMatch = (text, candidates) => Math.max(0, ...candidates.map((c) => stringSimilarity.compareTwoStrings(text, c)));
+
+// Order-independent option overlap: each option's best match on the other side, averaged both ways
+const optionsSimilarity = (a, b) => {
+    const left = a.map(normalize).filter(Boolean);
+    const right = b.map(normalize).filter(Boolean);
+    if (left.length === 0 || right.length === 0) return 0;
+    const forward = left.reduce((sum, o) => sum + bestMatch(o, right), 0) / left.length;
+    const backward = right.reduce((sum, o) => sum + bestMatch(o, left), 0) / right.length;
+    return (forward + backward) / 2;
+};
+
+const keysMatch = (a, b) => {
+    if (a.length === 0 || b.length === 0 || a.length !== b.length) return false;
+    const right = b.map(normalize);
+    return a.map(normalize).every((key) => bestMatch(key, right) >= OPTION_MATCH_THRESHOLD);
+};
+
+// Order- and case-insensitive signature of a question's choices, or null for questions that
+// are not multiple choice. Questions sharing one have an options similarity of 1.
+const choicesKey = (mcq) => (mcq
+    ? [...new Set(mcq.options.map(normalize).filter(Boolean))].sort().join('\u0000')
+    : null);
+
+// items (each with an `mcq`) grouped by choicesKey, leaving out plain questions
+const groupByChoices = (items) => {
+    const groups = new Map();
+    items.forEach((item) => {
+        const key = choicesKey(item.mcq);
+        if (!key) return;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+    return groups;
+};
+
+// Candidate retrieval only sees stems, so a reworded stem over the same choices can miss
+// the index and the prefilter alike. These are the grouped items offering exactly the
+// choices of `mcq`, closest stems (textOf(item)) first and `limit` at most, since
+// true/false questions all share theirs.
+const sameChoiceCandidates = (groups, mcq, stem, { textOf = (item) => item.text, limit = 10 } = {}) => {
+    const key = choicesKey(mcq);
+    if (!key || !groups.has(key)) return [];
+    const target = normalize(stem);
+    return groups.get(key)
+        .map((item) => ({ item, score: stringSimilarity.compareTwoStrings(target, normalize(textOf(item))) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ item }) => item);
+};
+
+// Blend a stem-only verdict with option and answer-key agreement. The judge's boolean
+// only covered the stem, so the decision is re-made from the weighted score, or from the
+// choices: identical options and answer keys (when both questions have keys) make the same
+// question out of any stem the judge calls the same or scores `stemThreshold` or more. The
+// blend alone would miss most reworded stems, since with the default weights it needs a
+// stem score of 0.7.
+const combineMcqVerdict = (verdict, a, b, { weights, threshold, stemThreshold = threshold }) => {
+    const optionsScore = optionsSimilarity(a.options, b.options);
+    const keyMatch = keysMatch(a.answer, b.answer);
+    const hasKeys = a.answer.length > 0 && b.answer.length > 0;
+
+    // Without answer keys on both sides the key weight moves to the options
+    const keyWeight = hasKeys ? weights.key : 0;
+    const optionsWeight = hasKeys ? weights.options : weights.options + weights.key;
+    const similarityScore = weights.stem * verdict.similarityScore
+        + optionsWeight * optionsScore
+        + keyWeight * (keyMatch ? 1 : 0);
+
+    const sameChoices = optionsScore === 1 && (!hasKeys || keyMatch);
+    const rewordedStem = sameChoices && (verdict.isSameQuestion || verdict.similarityScore >= stemThreshold);
+
+    const matchedOn = {
+        stem: verdict.isSameQuestion || verdict.similarityScore >= threshold,
+        options: optionsScore >= OPTION_MATCH_THRESHOLD,
+        key: hasKeys ? keyMatch : null,
+    };
+
+    return {
+        ...verdict,
+        similarityScore,
+        isSameQuestion: similarityScore >= threshold || rewordedStem,
+        stemScore: verdict.similarityScore,
+        optionsScore,
+        matchedOn,
+        reasons: [
+            ...(verdict.reasons || []),
+            `Stem ${matchedOn.stem ? 'matches' : 'differs'} (${verdict.similarityScore.toFixed(2)}), `
+                + `options ${matchedOn.options ? 'match' : 'differ'} (${optionsScore.toFixed(2)})`
+                + (hasKeys ? `, answer key ${keyMatch ? 'matches' : 'differs'}` : ', no answer key to compare'),
+            ...(rewordedStem ? ['Same choices under a reworded stem'] : []),
+        ],
+    };
+};
+
+module.exports = {
+    findMcqColumns,
+    extractMcq,
+    optionsSimilarity,
+    choicesKey,
+    groupByChoices,
+    sameChoiceCandidates,
+    combineMcqVerdict,
+};
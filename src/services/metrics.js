@@ -0,0 +1,130 @@
+// src/services/metrics.js
+
+// Default latency buckets in seconds, from a cache hit to a slow judge call
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+};
+
+// Label values in `labelNames` order; unknown names are an error, missing ones are ""
+const labelValues = (name, labelNames, labels = {}) => {
+    const unknown = Object.keys(labels).filter((label) => !labelNames.includes(label));
+    if (unknown.length > 0) throw new Error(`Unknown labels for ${name}: ${unknown.join(', ')}`);
+    return labelNames.map((label) => (labels[label] === undefined ? '' : String(labels[label])));
+};
+
+const toLabels = (labelNames, values) => Object.fromEntries(labelNames.map((label, i) => [label, values[i]]));
+
+// A minimal Prometheus registry: counters, gauges (set directly or read from `collect()`
+// at scrape time) and histograms, rendered in the text exposition format by `render()`.
+const createMetricsRegistry = () => {
+    const metrics = [];
+
+    const register = (metric) => {
+        if (metrics.some((m) => m.name === metric.name)) throw new Error(`Metric ${metric.name} already registered`);
+        metrics.push(metric);
+        return metric;
+    };
+
+    const counter = ({ name, help, labelNames = [] }) => {
+        const values = new Map();
+        register({
+            name,
+            help,
+            type: 'counter',
+            samples: () => [...values].map(([key, value]) => ({ name, labels: toLabels(labelNames, JSON.parse(key)), value })),
+        });
+        return {
+            inc: (labels = {}, amount = 1) => {
+                const key = JSON.stringify(labelValues(name, labelNames, labels));
+                values.set(key, (values.get(key) || 0) + amount);
+            },
+        };
+    };
+
+    // collect() returns [{ labels, value }] and replaces any values set directly
+    const gauge = ({ name, help, labelNames = [], collect = null }) => {
+        const values = new Map();
+        register({
+            name,
+            help,
+            type: 'gauge',
+            samples: () => (collect
+                ? collect().map(({ labels = {}, value }) => ({ name, labels, value }))
+                : [...values].map(([key, value]) => ({ name, labels: toLabels(labelNames, JSON.parse(key)), value }))),
+        });
+        return {
+            set: (labels, value) => values.set(JSON.stringify(labelValues(name, labelNames, labels)), value),
+        };
+    };
+
+    const histogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+        const bounds = [...buckets].sort((a, b) => a - b);
+        const series = new Map();
+        register({
+            name,
+            help,
+            type: 'histogram',
+            samples: () => [...series].flatMap(([key, { counts, sum, count }]) => {
+                const labels = toLabels(labelNames, JSON.parse(key));
+                return [
+                    ...bounds.map((bound, i) => ({ name: `${name}_bucket`, labels: { ...labels, le: formatValue(bound) }, value: counts[i] })),
+                    { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+                    { name: `${name}_sum`, labels, value: sum },
+                    { name: `${name}_count`, labels, value: count },
+                ];
+            }),
+        });
+
+        const observe = (labels, value) => {
+            const key = JSON.stringify(labelValues(name, labelNames, labels));
+            if (!series.has(key)) series.set(key, { counts: bounds.map(() => 0), sum: 0, count: 0 });
+            const entry = series.get(key);
+            bounds.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        };
+
+        return {
+            observe,
+            // Returns a function that observes the seconds elapsed since startTimer(), with
+            // labels merged from both calls
+            startTimer: (labels = {}) => {
+                const start = process.hrtime.bigint();
+                return (moreLabels = {}) => observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+            },
+        };
+    };
+
+    const render = () => metrics.map((metric) => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.samples().map((sample) => `${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`),
+    ].join('\n')).join('\n') + '\n';
+
+    return {
+        counter,
+        gauge,
+        histogram,
+        render,
+        contentType: 'text/plain; version=0.0.4; charset=utf-8',
+    };
+};
+
+module.exports = {
+    DEFAULT_BUCKETS,
+    createMetricsRegistry,
+};
@@ -0,0 +1,214 @@
+// src/services/normalizer.js
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Steps run in this order whatever order they are configured in. The first four give the
+// "canonical" form handed to the embedding model, which still reads as a sentence; the
+// lexical form used by string scorers and the candidate index also strips punctuation and
+// stop words and is lowercased. The judge reads the canonical form with its numbers left
+// in: the local scorers need "<number>" to see past changed values, but the judge is the
+// one scorer that can tell "What is 2+2?" from "What is 17-9?", and only if it sees them.
+const CANONICAL_STEPS = ['unicode', 'acronyms', 'personas', 'numbers'];
+const JUDGE_STEPS = CANONICAL_STEPS.filter((step) => step !== 'numbers');
+const LEXICAL_STEPS = ['punctuation', 'stopwords'];
+const NORMALIZATION_STEPS = [...CANONICAL_STEPS, ...LEXICAL_STEPS];
+
+// Part of the fingerprint: bump when a step's output changes for the same settings
+const NORMALIZER_VERSION = 2;
+
+const PERSON_MASK = '<person>';
+const NUMBER_MASK = '<number>';
+
+const DEFAULT_STOP_WORDS = [
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'by', 'with', 'from',
+    'as', 'into', 'about', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'this', 'that', 'these',
+    'those', 'it', 'its', 'their', 'his', 'her', 'he', 'she', 'they', 'them', 'which', 'who', 'whom',
+    'there', 'so', 'if', 'then', 'than', 'do', 'does', 'did', 'can', 'could', 'would', 'should', 'will',
+];
+
+// A capitalised word followed by one of these may be a scenario's persona
+const PERSONA_VERBS = [
+    'is', 'was', 'has', 'had', 'needs', 'wants', 'must', 'should', 'would', 'will', 'can', 'could',
+    'works', 'manages', 'leads', 'runs', 'owns', 'uses', 'plans', 'decides', 'notices', 'suspects',
+    'believes', 'thinks', 'asks', 'writes', 'reviews', 'discovers', 'finds', 'receives', 'wishes',
+];
+
+// Capitalised sentence openers that look like names before a verb ("How can", "What is")
+const NON_NAMES = new Set([
+    'how', 'what', 'which', 'who', 'whom', 'whose', 'why', 'when', 'where', 'there', 'here', 'this',
+    'that', 'these', 'those', 'it', 'he', 'she', 'they', 'we', 'you', 'one', 'each', 'every', 'some',
+    'none', 'all', 'any', 'if', 'then', 'the', 'a', 'an',
+]);
+
+// Swapping the persona usually swaps the pronouns too ("Bella ... She" / "David ... He")
+const GENDERED_PRONOUN = '(?<![\\p{L}\\p{N}])(?:he|she|him|her|his|hers)(?![\\p{L}\\p{N}])';
+
+// Arithmetic operators between numbers carry meaning ("2+2" is not "17-9")
+const OPERATOR_BETWEEN_NUMBERS = /(?<=\d|<number>)\s*([-+*\/=^\u00D7\u00F7])\s*(?=[-+]?\d|<number>)/gu;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const foldUnicode = (text) => text
+    .normalize('NFKD')
+    .replace(/\p{M}+/gu, '')
+    .replace(/[\u2018\u2019\u201A\u201B\u2032]/g, "'")
+    .replace(/[\u201C\u201D\u201E\u201F\u2033]/g, '"')
+    .replace(/[\u2010-\u2015\u2212]/g, '-')
+    .replace(/[\u200B-\u200D\uFEFF]/g, '')
+    .replace(/\s+/gu, ' ')
+    .trim();
+
+const createAcronymExpander = (glossary) => {
+    const rules = Object.entries(glossary).map(([acronym, expansion]) => ({
+        expansion,
+        // "air conditioning unit (ACU)" keeps a single copy of the expansion
+        spelledOut: new RegExp(`${escapeRegExp(expansion)}\\s*\\(\\s*${escapeRegExp(acronym)}s?\\s*\\)`, 'gi'),
+        bare: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(acronym)}(s?)(?![\\p{L}\\p{N}])`, 'gu'),
+    }));
+    return (text) => rules.reduce((result, rule) => result
+        .replace(rule.spelledOut, rule.expansion)
+        .replace(rule.bare, (_, plural) => `${rule.expansion}${plural}`), text);
+};
+
+// Masks configured names, and capitalised words used like a name ("Bella needs", "David's")
+// that a later he/she/his/her refers back to: on its own the phrasing matches places,
+// products and languages just as well ("Paris is", "Python has"). Pronouns are masked only
+// after the first masked name, since earlier ones cannot refer to it.
+const createPersonaMasker = (names) => {
+    const known = new Set(names.map((name) => name.toLowerCase()));
+    const verbs = PERSONA_VERBS.join('|');
+    const detect = new RegExp(`(?<![\\p{L}\\p{N}])(\\p{Lu}\\p{Ll}+)(?:'s\\b|\\s+(?:${verbs})\\b)`, 'gu');
+    const pronoun = new RegExp(GENDERED_PRONOUN, 'iu');
+    const pronouns = new RegExp(GENDERED_PRONOUN, 'giu');
+
+    return (text) => {
+        const personas = new Set();
+        for (const match of text.matchAll(detect)) {
+            const word = match[1];
+            if (NON_NAMES.has(word.toLowerCase())) continue;
+            if (pronoun.test(text.slice(match.index + word.length))) personas.add(word);
+        }
+        for (const word of text.match(/\p{Lu}\p{Ll}+/gu) || []) {
+            if (known.has(word.toLowerCase())) personas.add(word);
+        }
+        if (personas.size === 0) return text;
+
+        // Every mention of a masked name is masked, not only the one that gave it away
+        const masked = [...personas].reduce((result, name) => result.replace(
+            new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(name)}(?![\\p{L}\\p{N}])`, 'gu'),
+            PERSON_MASK,
+        ), text);
+        const firstMention = masked.indexOf(PERSON_MASK);
+        return masked.slice(0, firstMention) + masked.slice(firstMention).replace(pronouns, PERSON_MASK);
+    };
+};
+
+// A sign is part of a number only where it cannot be an operator ("-5", not the "-" in "17-9")
+const maskNumbers = (text) => text.replace(/(?<![\p{L}<])(?:(?<![\p{N})]\s?)[-+])?\d+(?:[.,]\d+)*(?:\s?%)?/gu, NUMBER_MASK);
+
+// Masks survive punctuation stripping so "<person>" never collapses into the word "person",
+// and operators between numbers are kept as words of their own
+const stripPunctuation = (text) => text
+    .replace(OPERATOR_BETWEEN_NUMBERS, ' $1 ')
+    .split(/(<person>|<number>|(?<= )[-+*\/=^\u00D7\u00F7](?= ))/u)
+    .map((part, i) => (i % 2 === 1 ? ` ${part} ` : part.replace(/[^\p{L}\p{N}\s]+/gu, ' ')))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const loadGlossary = (filePath) => {
+    if (!filePath) return {};
+    try {
+        const glossary = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!glossary || typeof glossary !== 'object' || Array.isArray(glossary)) {
+            throw new Error('expected an object mapping acronyms to expansions');
+        }
+        return glossary;
+    } catch (err) {
+        throw new Error(`Cannot load acronym glossary ${filePath}: ${err.message}`);
+    }
+};
+
+// steps: subset of NORMALIZATION_STEPS (default all); glossary: { ACRONYM: "expansion" }
+// or glossaryFile (JSON); personaNames: names always masked, on top of the ones detected
+// from "<Name> needs/is/has ..." phrasing; stopWords replaces DEFAULT_STOP_WORDS.
+const createNormalizer = ({
+    steps = NORMALIZATION_STEPS,
+    glossary = null,
+    glossaryFile = null,
+    personaNames = [],
+    stopWords = DEFAULT_STOP_WORDS,
+} = {}) => {
+    const unknown = steps.filter((step) => !NORMALIZATION_STEPS.includes(step));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown normalization step(s): ${unknown.join(', ')} (expected ${NORMALIZATION_STEPS.join(', ')})`);
+    }
+
+    const enabled = new Set(steps);
+    const acronyms = glossary || loadGlossary(glossaryFile);
+    const stopWordSet = new Set(stopWords.map((word) => word.toLowerCase()));
+
+    const transforms = {
+        unicode: foldUnicode,
+        acronyms: createAcronymExpander(acronyms),
+        personas: createPersonaMasker(personaNames),
+        numbers: maskNumbers,
+        punctuation: stripPunctuation,
+        stopwords: (text) => text.split(' ').filter((word) => !stopWordSet.has(word.toLowerCase())).join(' '),
+    };
+
+    const run = (text, stepNames) => stepNames
+        .filter((step) => enabled.has(step))
+        .reduce((result, step) => transforms[step](result), String(text));
+
+    const canonical = (text) => run(text, CANONICAL_STEPS);
+
+    const forJudge = (text) => run(text, JUDGE_STEPS);
+
+    const lexical = (text) => run(text, NORMALIZATION_STEPS).toLowerCase().replace(/\s+/g, ' ').trim();
+
+    // Every intermediate form, for /debug
+    const explain = (text) => {
+        let current = String(text);
+        const trace = [];
+        NORMALIZATION_STEPS.filter((step) => enabled.has(step)).forEach((step) => {
+            current = transforms[step](current);
+            trace.push({ step, text: current });
+        });
+        return { original: String(text), steps: trace, canonical: canonical(text), judge: forJudge(text), lexical: lexical(text) };
+    };
+
+    const settings = {
+        version: NORMALIZER_VERSION,
+        steps: NORMALIZATION_STEPS.filter((step) => enabled.has(step)),
+        glossary: acronyms,
+        personaNames,
+        stopWords: [...stopWordSet],
+    };
+
+    // Changes whenever the configuration does, so persisted signatures can be invalidated
+    const fingerprint = crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex').slice(0, 16);
+
+    const describe = () => ({
+        steps: settings.steps,
+        glossarySize: Object.keys(acronyms).length,
+        personaNames: personaNames.length,
+        stopWords: stopWordSet.size,
+        fingerprint,
+    });
+
+    return {
+        canonical,
+        forJudge,
+        lexical,
+        explain,
+        describe,
+        fingerprint,
+    };
+};
+
+module.exports = {
+    NORMALIZATION_STEPS,
+    DEFAULT_STOP_WORDS,
+    createNormalizer,
+};
@@ -0,0 +1,131 @@
+// src/services/previewStore.js
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createMutex } = require('../utils/mutex');
+const { logger } = require('../utils/logger');
+
+const badRequest = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+};
+
+// Results of dry-run checks, kept as one JSON file each under `dir` until `ttlMs` has passed.
+// Rows are { row, question, action, mcq, rowData, source, review, committed }: action says
+// what committing the row does ('store' adds it to the bank, 'review' queues it, 'skip' is
+// a duplicate) and `committed` stays null until that has been applied.
+const createPreviewStore = ({ dir, ttlMs }) => {
+    const previews = new Map();
+    const withLock = createMutex();
+
+    const previewFile = (id) => path.join(dir, `${id}.json`);
+
+    const persist = async (preview) => {
+        const tmpPath = `${previewFile(preview.id)}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(preview, null, 2));
+        await fs.rename(tmpPath, previewFile(preview.id));
+    };
+
+    const isExpired = (preview) => Date.parse(preview.expiresAt) <= Date.now();
+
+    const drop = async (id) => {
+        previews.delete(id);
+        await fs.unlink(previewFile(id)).catch(() => {});
+    };
+
+    const pruneExpired = async () => {
+        for (const preview of [...previews.values()]) {
+            if (isExpired(preview)) await drop(preview.id);
+        }
+    };
+
+    const init = async () => {
+        await fs.mkdir(dir, { recursive: true });
+        const files = (await fs.readdir(dir)).filter((f) => f.endsWith('.json'));
+        for (const file of files) {
+            try {
+                const preview = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+                previews.set(preview.id, preview);
+            } catch (err) {
+                logger.error('Skipping unreadable preview file', { file, error: err.message });
+            }
+        }
+        await pruneExpired();
+        logger.info('Preview store loaded', { previews: previews.size });
+    };
+
+    // owner: the client that ran the check; origin: 'check-batch' or 'upload'; rows without a
+    // committed field start uncommitted
+    const create = ({ bankId, owner = null, origin, rows }) => withLock(async () => {
+        await pruneExpired();
+        const createdAt = new Date();
+        const preview = {
+            id: `preview-${uuidv4()}`,
+            bankId,
+            owner,
+            origin,
+            createdAt: createdAt.toISOString(),
+            expiresAt: new Date(createdAt.getTime() + ttlMs).toISOString(),
+            rows: rows.map((row) => ({ committed: null, ...row })),
+        };
+        previews.set(preview.id, preview);
+        await persist(preview);
+        return preview;
+    });
+
+    const get = (id) => {
+        const preview = previews.get(id);
+        return preview && !isExpired(preview) ? preview : null;
+    };
+
+    // Applies the chosen rows (all committable rows when `rows` is empty) through
+    // `apply(preview, rows)`, which returns one outcome per row; errors carry err.status
+    // for the routes (404 unknown or expired, 400 bad selection, 409 already committed).
+    const commit = (id, rows, apply) => withLock(async () => {
+        const preview = get(id);
+        if (!preview) {
+            const err = new Error('Preview not found or expired');
+            err.status = 404;
+            throw err;
+        }
+
+        let selected;
+        if (rows && rows.length > 0) {
+            const unknown = rows.filter((n) => !preview.rows[n]);
+            if (unknown.length > 0) throw badRequest(`Unknown preview rows: ${unknown.join(', ')}`);
+            selected = [...new Set(rows)].map((n) => preview.rows[n]);
+            const skipped = selected.filter((row) => row.action === 'skip');
+            if (skipped.length > 0) {
+                throw badRequest(`Rows ${skipped.map((row) => row.row).join(', ')} are duplicates and cannot be committed`);
+            }
+            const committed = selected.filter((row) => row.committed);
+            if (committed.length > 0) {
+                const err = new Error(`Rows ${committed.map((row) => row.row).join(', ')} are already committed`);
+                err.status = 409;
+                throw err;
+            }
+        } else {
+            selected = preview.rows.filter((row) => row.action !== 'skip' && !row.committed);
+        }
+
+        const outcomes = selected.length > 0 ? await apply(preview, selected) : [];
+        const committedAt = new Date().toISOString();
+        selected.forEach((row, n) => {
+            row.committed = { committedAt, ...outcomes[n] };
+        });
+        await persist(preview);
+        return { preview, committed: selected };
+    });
+
+    return {
+        init,
+        create,
+        get,
+        commit,
+    };
+};
+
+module.exports = {
+    createPreviewStore,
+};
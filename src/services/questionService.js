@@ -1,7 +1,7 @@
 // src/services/questionService.js
 const stringSimilarity = require('string-similarity');
 const { MAX_QUESTIONS, SIMILARITY_THRESHOLD } = require('../config/config');
-const { readQuestions, writeQuestions } = require('./fileService');
+const { createJsonStore } = require('./questionStore');
 
 const processQuestions = async (questions, questionsFile) => {
     if (!Array.isArray(questions)) {
@@ -22,7 +22,8 @@ const processQuestions = async (questions, questionsFile) => {
 
     const results = [];
     const newQuestions = [];
-    const existingQuestions = await readQuestions(questionsFile);
+    const store = createJsonStore(questionsFile);
+    const existingQuestions = await store.getAll();
 
     for (let i = 0; i < validQuestions.length; i++) {
         const currentQuestion = validQuestions[i];
@@ -81,10 +82,7 @@ const processQuestions = async (questions, questionsFile) => {
     }
 
     // Store new questions
-    if (newQuestions.length > 0) {
-        const updatedQuestions = [...existingQuestions, ...newQuestions];
-        await writeQuestions(questionsFile, updatedQuestions);
-    }
+    await store.addMany(newQuestions);
 
     return results;
 };
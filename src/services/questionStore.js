@@ -0,0 +1,211 @@
+// src/services/questionStore.js
+const path = require('path');
+const { initializeFile, readQuestions, writeQuestions } = require('./fileService');
+const { createMutex } = require('../utils/mutex');
+const { logger } = require('../utils/logger');
+const { createRedisClient } = require('../utils/redisClient');
+
+// Fields kept as plain strings in Redis hashes; everything else is JSON-encoded
+const STRING_FIELDS = ['id', 'text', 'createdAt'];
+const REDIS_READ_CHUNK = 1000;
+
+const jsonStores = new Map();
+
+const createJsonStore = (filePath) => {
+    // Serialize read-modify-write cycles so concurrent uploads cannot overwrite each other
+    const withLock = createMutex();
+
+    const init = () => initializeFile(filePath);
+
+    const getAll = () => readQuestions(filePath);
+
+    const addMany = (questions) => withLock(async () => {
+        if (questions.length === 0) return [];
+        const existing = await readQuestions(filePath);
+        await writeQuestions(filePath, [...existing, ...questions]);
+        return questions;
+    });
+
+    const add = async (question) => (await addMany([question]))[0];
+
+    const get = async (id) => (await getAll()).find((question) => question.id === id) || null;
+
+    // Merges `changes` into the question; returns the updated question or null when unknown
+    const update = (id, changes) => withLock(async () => {
+        const questions = await readQuestions(filePath);
+        const index = questions.findIndex((question) => question.id === id);
+        if (index === -1) return null;
+        questions[index] = { ...questions[index], ...changes, id };
+        await writeQuestions(filePath, questions);
+        return questions[index];
+    });
+
+    const remove = (id) => withLock(async () => {
+        const questions = await readQuestions(filePath);
+        const remaining = questions.filter((question) => question.id !== id);
+        if (remaining.length === questions.length) return false;
+        await writeQuestions(filePath, remaining);
+        return true;
+    });
+
+    const count = async () => (await getAll()).length;
+
+    const reset = () => withLock(() => writeQuestions(filePath, []));
+
+    return {
+        backend: 'json',
+        init,
+        getAll,
+        get,
+        add,
+        addMany,
+        update,
+        remove,
+        count,
+        reset,
+        close: async () => {},
+    };
+};
+
+// One store per file, so every caller shares the same write lock
+const getJsonStore = (filePath) => {
+    const key = path.resolve(filePath);
+    if (!jsonStores.has(key)) {
+        jsonStores.set(key, createJsonStore(key));
+    }
+    return jsonStores.get(key);
+};
+
+const toHash = (question) => {
+    const hash = {};
+    for (const [field, value] of Object.entries(question)) {
+        if (value === undefined) continue;
+        hash[field] = STRING_FIELDS.includes(field) ? String(value) : JSON.stringify(value);
+    }
+    return hash;
+};
+
+const fromHash = (hash) => {
+    const question = {};
+    for (const [field, value] of Object.entries(hash)) {
+        question[field] = STRING_FIELDS.includes(field) ? value : JSON.parse(value);
+    }
+    return question;
+};
+
+// Each question lives in its own hash (<prefix>:question:<id>); a sorted set
+// scored by createdAt keeps insertion order for listing.
+const createRedisStore = ({ url, prefix = 'dupdetector' }) => {
+    const client = createRedisClient(url);
+    const idsKey = `${prefix}:ids`;
+    const questionKey = (id) => `${prefix}:question:${id}`;
+
+    client.on('error', (err) => logger.error('Redis client error', { error: err.message }));
+
+    const init = async () => {
+        if (!client.isOpen) {
+            await client.connect();
+        }
+        logger.info('Redis question store connected', { url, prefix });
+    };
+
+    const getAll = async () => {
+        const ids = await client.zRange(idsKey, 0, -1);
+        const questions = [];
+        for (let i = 0; i < ids.length; i += REDIS_READ_CHUNK) {
+            const hashes = await Promise.all(
+                ids.slice(i, i + REDIS_READ_CHUNK).map((id) => client.hGetAll(questionKey(id)))
+            );
+            hashes.forEach((hash) => {
+                if (hash && hash.id) questions.push(fromHash(hash));
+            });
+        }
+        return questions;
+    };
+
+    const add = async (question) => {
+        const score = Date.parse(question.createdAt) || Date.now();
+        await client
+            .multi()
+            .hSet(questionKey(question.id), toHash(question))
+            .zAdd(idsKey, { score, value: question.id })
+            .exec();
+        return question;
+    };
+
+    const addMany = async (questions) => {
+        for (const question of questions) {
+            await add(question);
+        }
+        return questions;
+    };
+
+    const get = async (id) => {
+        const hash = await client.hGetAll(questionKey(id));
+        return hash && hash.id ? fromHash(hash) : null;
+    };
+
+    const update = async (id, changes) => {
+        const existing = await get(id);
+        if (!existing) return null;
+        const updated = { ...existing, ...changes, id };
+        await client.hSet(questionKey(id), toHash(updated));
+        return updated;
+    };
+
+    const remove = async (id) => {
+        const [deleted] = await client
+            .multi()
+            .del(questionKey(id))
+            .zRem(idsKey, id)
+            .exec();
+        return deleted > 0;
+    };
+
+    const count = () => client.zCard(idsKey);
+
+    const reset = async () => {
+        const ids = await client.zRange(idsKey, 0, -1);
+        for (let i = 0; i < ids.length; i += REDIS_READ_CHUNK) {
+            await client.del(ids.slice(i, i + REDIS_READ_CHUNK).map(questionKey));
+        }
+        await client.del(idsKey);
+    };
+
+    const close = async () => {
+        if (client.isOpen) {
+            await client.quit();
+        }
+    };
+
+    return {
+        backend: 'redis',
+        init,
+        getAll,
+        get,
+        add,
+        addMany,
+        update,
+        remove,
+        count,
+        reset,
+        close,
+    };
+};
+
+const createQuestionStore = ({ backend = 'json', filePath, redisUrl, redisPrefix }) => {
+    switch (backend) {
+        case 'json':
+            return getJsonStore(filePath);
+        case 'redis':
+            return createRedisStore({ url: redisUrl, prefix: redisPrefix });
+        default:
+            throw new Error(`Unknown storage backend "${backend}" (expected "json" or "redis")`);
+    }
+};
+
+module.exports = {
+    createQuestionStore,
+    createJsonStore: getJsonStore,
+    createRedisStore,
+};
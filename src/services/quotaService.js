@@ -0,0 +1,137 @@
+// src/services/quotaService.js
+const fs = require('fs').promises;
+const { logger } = require('../utils/logger');
+
+const FLUSH_DELAY_MS = 5000;
+const WINDOW_MS = 60 * 1000;
+// Expired request windows are dropped once this many clients are tracked
+const MAX_TRACKED_WINDOWS = 10000;
+
+const utcDay = (time = Date.now()) => new Date(time).toISOString().slice(0, 10);
+
+const secondsUntilNextUtcDay = () => {
+    const now = new Date();
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.max(1, Math.ceil((midnight - now.getTime()) / 1000));
+};
+
+// err.status 429 with err.retryAfter in seconds, for the Retry-After header
+const quotaError = (message, retryAfter, code) => {
+    const err = new Error(message);
+    err.status = 429;
+    err.code = code;
+    err.retryAfter = retryAfter;
+    return err;
+};
+
+// Per-client request rate (a fixed one-minute window) and daily judge-call budgets per
+// client and per bank. A limit of 0 means unlimited. Judge usage for the current UTC day
+// is snapshotted to `filePath`, so restarting the server does not hand out a fresh budget.
+const createQuotaService = ({ requestsPerMinute, clientDailyBudget, bankDailyBudget, filePath }) => {
+    const windows = new Map();
+    let usage = { day: utcDay(), clients: {}, banks: {} };
+    let flushTimer = null;
+
+    const flush = async () => {
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(usage, null, 2));
+        await fs.rename(tmpPath, filePath);
+    };
+
+    const scheduleFlush = () => {
+        if (flushTimer) return;
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            flush().catch((err) => logger.error('Judge usage flush failed', { error: err.message }));
+        }, FLUSH_DELAY_MS);
+        flushTimer.unref();
+    };
+
+    const currentUsage = () => {
+        if (usage.day !== utcDay()) usage = { day: utcDay(), clients: {}, banks: {} };
+        return usage;
+    };
+
+    const init = async () => {
+        try {
+            const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            if (data.day === utcDay()) usage = { day: data.day, clients: data.clients || {}, banks: data.banks || {} };
+        } catch (err) {
+            if (err.code !== 'ENOENT') logger.error('Judge usage file unreadable, starting from zero', { error: err.message });
+        }
+    };
+
+    // Counts one request; throws a 429 error once the client's window is full
+    const takeRequest = (clientId) => {
+        if (!requestsPerMinute) return;
+        const now = Date.now();
+        if (windows.size > MAX_TRACKED_WINDOWS) {
+            for (const [id, expired] of windows) {
+                if (now - expired.start >= WINDOW_MS) windows.delete(id);
+            }
+        }
+        let window = windows.get(clientId);
+        if (!window || now - window.start >= WINDOW_MS) {
+            window = { start: now, count: 0 };
+            windows.set(clientId, window);
+        }
+        if (window.count >= requestsPerMinute) {
+            const retryAfter = Math.max(1, Math.ceil((window.start + WINDOW_MS - now) / 1000));
+            throw quotaError(`Rate limit of ${requestsPerMinute} requests per minute exceeded`, retryAfter, 'RATE_LIMITED');
+        }
+        window.count++;
+    };
+
+    // Throws a 429 error when the client's or the bank's judge budget for today is used up
+    const assertJudgeBudget = ({ clientId, bankId = null }) => {
+        const { clients, banks } = currentUsage();
+        if (clientDailyBudget && (clients[clientId] || 0) >= clientDailyBudget) {
+            throw quotaError(`Daily judge budget of ${clientDailyBudget} calls used up for this client`,
+                secondsUntilNextUtcDay(), 'BUDGET_EXHAUSTED');
+        }
+        if (bankId && bankDailyBudget && (banks[bankId] || 0) >= bankDailyBudget) {
+            throw quotaError(`Daily judge budget of ${bankDailyBudget} calls used up for bank "${bankId}"`,
+                secondsUntilNextUtcDay(), 'BUDGET_EXHAUSTED');
+        }
+    };
+
+    // Checks the budgets, then counts one judge call against them
+    const chargeJudgeCall = ({ clientId, bankId = null }) => {
+        assertJudgeBudget({ clientId, bankId });
+        const { clients, banks } = currentUsage();
+        clients[clientId] = (clients[clientId] || 0) + 1;
+        if (bankId) banks[bankId] = (banks[bankId] || 0) + 1;
+        scheduleFlush();
+    };
+
+    // Stops the delayed flush and writes today's usage
+    const close = async () => {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        await flush();
+    };
+
+    const stats = () => {
+        const { day, clients, banks } = currentUsage();
+        return {
+            requestsPerMinute: requestsPerMinute || null,
+            dailyJudgeBudget: { client: clientDailyBudget || null, bank: bankDailyBudget || null },
+            judgeCallsToday: { day, clients: { ...clients }, banks: { ...banks } },
+        };
+    };
+
+    return {
+        init,
+        takeRequest,
+        assertJudgeBudget,
+        chargeJudgeCall,
+        close,
+        stats,
+    };
+};
+
+module.exports = {
+    createQuotaService,
+};
@@ -0,0 +1,170 @@
+// src/services/reportService.js
+const ExcelJS = require('exceljs');
+const xlsx = require('xlsx');
+const { formatDiff } = require('./explainService');
+
+const ROW_FILLS = {
+    duplicate: 'FFF4CCCC',
+    review: 'FFFFF2CC',
+    unique: 'FFD9EAD3',
+};
+
+const ANNOTATION_HEADERS = ['Is Duplicate', 'Matched Question', 'Matched ID', 'Similarity Score', 'Matched On', 'Decision Path', 'Shared Phrases', 'Word Diff', 'Judge Reasons', 'Review Status'];
+
+// Excel caps sheet names at 31 characters
+const MAX_SHEET_NAME_LENGTH = 31;
+
+const fill = (argb) => ({ type: 'pattern', pattern: 'solid', fgColor: { argb } });
+
+// Reasons are usually strings; fallbacks may return objects such as common_words
+const formatReasons = (reasons) => (reasons || [])
+    .map((reason) => (typeof reason === 'string' ? reason : JSON.stringify(reason)))
+    .join('; ');
+
+// Which parts of a multiple-choice pair agreed, e.g. "stem, options"; blank for plain questions
+const formatMatchedOn = (matchedOn) => {
+    if (!matchedOn) return '';
+    const parts = ['stem', 'options', 'key'].filter((part) => matchedOn[part]);
+    return parts.length > 0 ? parts.join(', ') : 'none';
+};
+
+// Shared phrases and the word diff are only shown next to a reported match
+const formatSharedPhrases = (result) => (result.mostSimilarQuestion && result.explanation
+    ? result.explanation.sharedNgrams.join('; ')
+    : '');
+
+const formatWordDiff = (result) => (result.mostSimilarQuestion && result.explanation
+    ? formatDiff(result.explanation.diff)
+    : '');
+
+const decisionPath = (result) => (result.explanation ? result.explanation.decisionPath : '');
+
+const rowStatus = (result) => {
+    if (!result) return null;
+    if (result.isDuplicate) return 'duplicate';
+    return result.reviewStatus === 'pending' ? 'review' : 'unique';
+};
+
+// Sheet columns ("A", "B", ...) present anywhere in the rows, in sheet order
+const sheetColumns = (rows) => {
+    const columns = new Set();
+    rows.forEach((row) => Object.keys(row).forEach((col) => columns.add(col)));
+    return [...columns].sort((a, b) => xlsx.utils.decode_col(a) - xlsx.utils.decode_col(b));
+};
+
+const sourceKey = (sheet, row) => `${sheet}\u0000${row}`;
+
+const annotationsFor = (result) => (result
+    ? [
+        result.isDuplicate ? 'Yes' : 'No',
+        result.mostSimilarQuestion || '',
+        result.mostSimilarQuestionId || '',
+        result.similarityScore,
+        formatMatchedOn(result.matchedOn),
+        decisionPath(result),
+        formatSharedPhrases(result),
+        formatWordDiff(result),
+        formatReasons(result.similarityExplanation),
+        result.reviewStatus || '',
+    ]
+    : ANNOTATION_HEADERS.map(() => ''));
+
+const indexBySource = (results) => new Map(results.map((result) => [sourceKey(result.source.sheet, result.source.row), result]));
+
+// Flat variant of the annotated report for CSV/JSONL output: one record per source row
+// keyed by header name, with provenance and annotation fields appended
+const buildAnnotatedRecords = ({ sheets, results }) => {
+    const resultsBySource = indexBySource(results);
+    return sheets.flatMap((sheet) => {
+        const columns = sheetColumns([sheet.header, ...sheet.rows]);
+        return sheet.rows.map((row) => {
+            const rowNumber = row.__rowNum__ + 1;
+            const record = {};
+            columns.forEach((col) => {
+                record[String(sheet.header[col] || col)] = row[col];
+            });
+            record['Source Sheet'] = sheet.name;
+            record['Source Row'] = rowNumber;
+            const annotations = annotationsFor(resultsBySource.get(sourceKey(sheet.name, rowNumber)));
+            ANNOTATION_HEADERS.forEach((header, i) => {
+                record[header] = annotations[i];
+            });
+            return record;
+        });
+    });
+};
+
+// Excel compares sheet names case-insensitively, so the report's own sheets take a
+// numbered suffix ("Summary (2)") when an input sheet already uses the name
+const uniqueSheetName = (name, taken) => {
+    let candidate = name;
+    for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+        const suffix = ` (${n})`;
+        candidate = `${name.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length)}${suffix}`;
+    }
+    taken.add(candidate.toLowerCase());
+    return candidate;
+};
+
+// sheets: the ingested sheets ({ name, header, rows, questionColumn }, rows read with header "A")
+// results: processQuestions results carrying their { sheet, row } source
+// stats: the upload's stats object, written as-is to the Summary sheet
+const writeAnnotatedReport = async ({ sheets, results, stats, filePath }) => {
+    const workbook = new ExcelJS.Workbook();
+    const resultsBySource = indexBySource(results);
+    const duplicateRows = [];
+    const sheetNames = new Set(sheets.map((sheet) => sheet.name.toLowerCase()));
+
+    sheets.forEach((sheet) => {
+        const columns = sheetColumns([sheet.header, ...sheet.rows]);
+        const annotated = workbook.addWorksheet(sheet.name);
+        annotated.addRow([...columns.map((col) => sheet.header[col]), ...ANNOTATION_HEADERS]).font = { bold: true };
+        annotated.views = [{ state: 'frozen', ySplit: 1 }];
+
+        sheet.rows.forEach((row) => {
+            const rowNumber = row.__rowNum__ + 1;
+            const result = resultsBySource.get(sourceKey(sheet.name, rowNumber));
+            const status = rowStatus(result);
+            const added = annotated.addRow([...columns.map((col) => row[col]), ...annotationsFor(result)]);
+            if (status) {
+                added.eachCell({ includeEmpty: true }, (cell) => {
+                    cell.fill = fill(ROW_FILLS[status]);
+                });
+            }
+
+            if (status === 'duplicate') {
+                duplicateRows.push([
+                    sheet.name,
+                    rowNumber,
+                    row[sheet.questionColumn],
+                    result.mostSimilarQuestion || '',
+                    result.mostSimilarQuestionId || '',
+                    result.similarityScore,
+                    formatMatchedOn(result.matchedOn),
+                    decisionPath(result),
+                    formatWordDiff(result),
+                    formatReasons(result.similarityExplanation),
+                ]);
+            }
+        });
+    });
+
+    const duplicates = workbook.addWorksheet(uniqueSheetName('Duplicates', sheetNames));
+    duplicates.addRow(['Sheet', 'Row', 'Question', 'Matched Question', 'Matched ID', 'Similarity Score', 'Matched On', 'Decision Path', 'Word Diff', 'Judge Reasons']).font = { bold: true };
+    duplicateRows.forEach((values) => duplicates.addRow(values));
+
+    const summary = workbook.addWorksheet(uniqueSheetName('Summary', sheetNames));
+    summary.addRow(['Statistic', 'Value']).font = { bold: true };
+    Object.entries(stats).forEach(([key, value]) => {
+        summary.addRow([key, typeof value === 'object' && value !== null ? JSON.stringify(value) : value]);
+    });
+    summary.getColumn(1).width = 24;
+
+    await workbook.xlsx.writeFile(filePath);
+};
+
+module.exports = {
+    buildAnnotatedRecords,
+    sheetColumns,
+    writeAnnotatedReport,
+};
@@ -0,0 +1,121 @@
+// src/services/reviewQueue.js
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { createMutex } = require('../utils/mutex');
+const { logger } = require('../utils/logger');
+
+const REVIEW_STATUSES = ['pending', 'accepted', 'rejected'];
+
+// Borderline question pairs waiting for a human decision, persisted to one JSON file.
+// "accepted" confirms the pair as a duplicate, "rejected" marks the question unique.
+const createReviewQueue = ({ filePath }) => {
+    const reviews = new Map();
+    const withLock = createMutex();
+
+    const persist = async () => {
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify({ reviews: [...reviews.values()] }, null, 2));
+        await fs.rename(tmpPath, filePath);
+    };
+
+    const init = async () => {
+        try {
+            const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            (data.reviews || []).forEach((review) => reviews.set(review.id, review));
+            logger.info('Review queue loaded', { reviews: reviews.size });
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                logger.error('Review queue file unreadable, starting empty', { error: err.message });
+            }
+        }
+    };
+
+    // items: [{ question, candidate: { id?, text, source }, similarityScore, reasons, analysis, rowData }]
+    const add = (items) => withLock(async () => {
+        if (items.length === 0) return [];
+        const added = items.map((item) => ({
+            id: `review-${uuidv4()}`,
+            status: 'pending',
+            createdAt: new Date().toISOString(),
+            cleanedFilePath: null,
+            decision: null,
+            ...item,
+        }));
+        added.forEach((review) => reviews.set(review.id, review));
+        await persist();
+        return added;
+    });
+
+    // Remember which cleaned workbook still contains the pending rows
+    const attachWorkbook = (ids, cleanedFilePath) => withLock(async () => {
+        ids.forEach((id) => {
+            if (reviews.has(id)) reviews.get(id).cleanedFilePath = cleanedFilePath;
+        });
+        await persist();
+    });
+
+    const get = (id) => reviews.get(id) || null;
+
+    // Reviews queued before question banks existed have no bankId; `defaultBankId` claims them
+    const list = ({ status, bankId, defaultBankId } = {}) => [...reviews.values()]
+        .filter((review) => !status || review.status === status)
+        .filter((review) => !bankId || (review.bankId || defaultBankId) === bankId)
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+
+    // Runs `apply(review)` before recording the decision, so a failed apply leaves the
+    // review pending. Errors carry err.status for the routes (404 unknown, 409 decided).
+    const decide = (id, { status, reviewer, note }, apply = async () => {}) => withLock(async () => {
+        const review = reviews.get(id);
+        if (!review) {
+            const err = new Error('Review not found');
+            err.status = 404;
+            throw err;
+        }
+        if (review.status !== 'pending') {
+            const err = new Error(`Review already ${review.status}`);
+            err.status = 409;
+            throw err;
+        }
+
+        const applied = await apply(review);
+        review.status = status;
+        review.decision = {
+            reviewer: reviewer || null,
+            note: note || null,
+            decidedAt: new Date().toISOString(),
+            ...applied,
+        };
+        await persist();
+        return review;
+    });
+
+    // Drops every review, or only those matching `filter(review)`
+    const clear = (filter = null) => withLock(async () => {
+        for (const [id, review] of reviews) {
+            if (!filter || filter(review)) reviews.delete(id);
+        }
+        await persist();
+    });
+
+    const counts = () => {
+        const result = Object.fromEntries(REVIEW_STATUSES.map((status) => [status, 0]));
+        for (const review of reviews.values()) result[review.status]++;
+        return result;
+    };
+
+    return {
+        init,
+        add,
+        attachWorkbook,
+        get,
+        list,
+        decide,
+        clear,
+        counts,
+    };
+};
+
+module.exports = {
+    REVIEW_STATUSES,
+    createReviewQueue,
+};
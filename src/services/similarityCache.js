@@ -0,0 +1,242 @@
+// src/services/similarityCache.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { logger } = require('../utils/logger');
+const { createRedisClient } = require('../utils/redisClient');
+
+const DISK_FLUSH_DELAY_MS = 2000;
+
+const normalizeText = (text) => String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Order-independent key: (q1, q2) and (q2, q1) hash the same. The judge identity and
+// prompt version are part of the key so a model or prompt change never reuses old verdicts.
+const pairKey = (question1, question2, version) => {
+    const [a, b] = [normalizeText(question1), normalizeText(question2)].sort();
+    return crypto.createHash('sha256').update(`${version}\u0000${a}\u0000${b}`).digest('hex');
+};
+
+const createCounters = () => ({ hits: 0, misses: 0, sets: 0, evictions: 0, expired: 0 });
+
+// LRU + TTL in memory; the disk backend snapshots it to a JSON file after changes
+const createMemoryBackend = ({ maxEntries, ttlMs, counters, filePath = null }) => {
+    const entries = new Map();
+    let flushTimer = null;
+
+    const scheduleFlush = () => {
+        if (!filePath || flushTimer) return;
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            flush().catch((err) => logger.error('Similarity cache flush failed', { error: err.message }));
+        }, DISK_FLUSH_DELAY_MS);
+        flushTimer.unref();
+    };
+
+    const flush = async () => {
+        if (!filePath) return;
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify({ entries: [...entries] }));
+        await fs.rename(tmpPath, filePath);
+    };
+
+    const init = async () => {
+        if (!filePath) return;
+        try {
+            const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            const now = Date.now();
+            for (const [key, entry] of data.entries || []) {
+                if (entry.expiresAt > now) entries.set(key, entry);
+            }
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+            logger.info('Similarity cache loaded', { entries: entries.size, filePath });
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                logger.error('Similarity cache file unreadable, starting empty', { error: err.message });
+            }
+        }
+    };
+
+    const get = async (key) => {
+        const entry = entries.get(key);
+        if (!entry) return undefined;
+        entries.delete(key);
+        if (entry.expiresAt <= Date.now()) {
+            counters.expired++;
+            scheduleFlush();
+            return undefined;
+        }
+        entries.set(key, entry);
+        return entry.value;
+    };
+
+    const set = async (key, value) => {
+        entries.delete(key);
+        entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+            counters.evictions++;
+        }
+        scheduleFlush();
+    };
+
+    const clear = async () => {
+        entries.clear();
+        await flush();
+    };
+
+    // Writes pending changes and stops the delayed flush
+    const close = async () => {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        await flush();
+    };
+
+    return {
+        init,
+        get,
+        set,
+        clear,
+        flush,
+        close,
+        size: async () => entries.size,
+    };
+};
+
+// Values live in <prefix>:cache:<hash> with a PX expiry; a sorted set of last-access
+// times keeps the key count under maxEntries by evicting the least recently used.
+const createRedisBackend = ({ url, prefix, maxEntries, ttlMs, counters }) => {
+    const client = createRedisClient(url);
+    const lruKey = `${prefix}:cache:lru`;
+    const valueKey = (key) => `${prefix}:cache:${key}`;
+
+    client.on('error', (err) => logger.error('Redis cache client error', { error: err.message }));
+
+    const init = async () => {
+        if (!client.isOpen) {
+            await client.connect();
+        }
+    };
+
+    const get = async (key) => {
+        const raw = await client.get(valueKey(key));
+        if (raw === null) {
+            // Expired by Redis; forget it in the LRU set as well
+            if (await client.zRem(lruKey, key)) counters.expired++;
+            return undefined;
+        }
+        await client.zAdd(lruKey, { score: Date.now(), value: key });
+        return JSON.parse(raw);
+    };
+
+    const set = async (key, value) => {
+        await client
+            .multi()
+            .set(valueKey(key), JSON.stringify(value), { PX: ttlMs })
+            .zAdd(lruKey, { score: Date.now(), value: key })
+            .exec();
+
+        const overflow = (await client.zCard(lruKey)) - maxEntries;
+        if (overflow > 0) {
+            const evicted = await client.zPopMinCount(lruKey, overflow);
+            if (evicted.length > 0) {
+                await client.del(evicted.map((e) => valueKey(e.value)));
+                counters.evictions += evicted.length;
+            }
+        }
+    };
+
+    const clear = async () => {
+        const keys = await client.zRange(lruKey, 0, -1);
+        if (keys.length > 0) await client.del(keys.map(valueKey));
+        await client.del(lruKey);
+    };
+
+    return {
+        init,
+        get,
+        set,
+        clear,
+        flush: async () => {},
+        close: async () => {
+            if (client.isOpen) {
+                await client.quit();
+            }
+        },
+        size: () => client.zCard(lruKey),
+    };
+};
+
+const createSimilarityCache = ({
+    backend = 'memory',
+    filePath,
+    redisUrl,
+    redisPrefix = 'dupdetector',
+    maxEntries = 50000,
+    ttlMs = 30 * 24 * 60 * 60 * 1000,
+    version,
+}) => {
+    const counters = createCounters();
+    let store;
+    switch (backend) {
+        case 'memory':
+            store = createMemoryBackend({ maxEntries, ttlMs, counters });
+            break;
+        case 'disk':
+            store = createMemoryBackend({ maxEntries, ttlMs, counters, filePath });
+            break;
+        case 'redis':
+            store = createRedisBackend({ url: redisUrl, prefix: redisPrefix, maxEntries, ttlMs, counters });
+            break;
+        default:
+            throw new Error(`Unknown cache backend "${backend}" (expected memory, disk or redis)`);
+    }
+
+    const get = async (question1, question2) => {
+        const value = await store.get(pairKey(question1, question2, version));
+        if (value === undefined) {
+            counters.misses++;
+        } else {
+            counters.hits++;
+        }
+        return value;
+    };
+
+    const set = async (question1, question2, value) => {
+        counters.sets++;
+        await store.set(pairKey(question1, question2, version), value);
+    };
+
+    const stats = async () => {
+        const lookups = counters.hits + counters.misses;
+        return {
+            backend,
+            version,
+            size: await store.size(),
+            maxEntries,
+            ttlSeconds: Math.round(ttlMs / 1000),
+            ...counters,
+            hitRate: lookups > 0 ? counters.hits / lookups : null,
+        };
+    };
+
+    const resetCounters = () => Object.assign(counters, createCounters());
+
+    return {
+        init: store.init,
+        get,
+        set,
+        clear: store.clear,
+        flush: store.flush,
+        close: store.close,
+        stats,
+        resetCounters,
+    };
+};
+
+module.exports = {
+    createSimilarityCache,
+    pairKey,
+};
@@ -0,0 +1,146 @@
+// src/services/translationService.js
+const fs = require('fs').promises;
+const { buildTranslationPrompt } = require('./judges/prompts');
+const { logger } = require('../utils/logger');
+
+const TRANSLATOR_PROVIDERS = ['judge', 'mock'];
+
+// Structured-output schema for judge translations
+const TRANSLATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        translation: { type: 'string', description: 'The question translated into the target language' },
+    },
+    required: ['translation'],
+};
+
+// Word-for-word glossary for the offline mock translator, into English. Enough for short
+// test questions; a TRANSLATION_GLOSSARY_FILE extends it.
+const MOCK_GLOSSARY = {
+    fr: {
+        le: 'the', la: 'the', les: 'the', l: 'the', un: 'a', une: 'a', des: 'some', du: 'of the', de: 'of', d: 'of',
+        est: 'is', sont: 'are', quel: 'what', quelle: 'what', quels: 'which', quelles: 'which', qui: 'who',
+        que: 'what', comment: 'how', pourquoi: 'why', quand: 'when', où: 'where', et: 'and', ou: 'or', dans: 'in',
+        pour: 'for', avec: 'with', sur: 'on', par: 'by', au: 'at the', aux: 'to the', ce: 'this', cette: 'this',
+        capitale: 'capital', ville: 'city', point: 'point', ébullition: 'boiling', eau: 'water', niveau: 'level',
+        mer: 'sea', plus: 'most', grande: 'largest', grand: 'largest', planète: 'planet', système: 'system',
+        solaire: 'solar', nommez: 'name', écrit: 'wrote', auteur: 'author',
+    },
+    sw: {
+        ni: 'is', nini: 'what', gani: 'which', nani: 'who', vipi: 'how', kwa: 'for', na: 'and', ya: 'of', wa: 'of',
+        za: 'of', la: 'of', cha: 'of', katika: 'in', hii: 'this', huu: 'this', kwanini: 'why', lini: 'when',
+        wapi: 'where', upi: 'which', ipi: 'which', mji: 'city', mkuu: 'capital', maji: 'water', huchemka: 'boil',
+        kiwango: 'point', joto: 'temperature', sayari: 'planet', kubwa: 'largest', zaidi: 'most', bahari: 'sea',
+        usawa: 'level', ufaransa: 'france', aliandika: 'wrote', taja: 'name',
+    },
+};
+
+// Word-for-word translation with a { word: translation } glossary per source language.
+// Unknown words pass through unchanged, so names and numbers survive.
+const translateWords = (text, fromLanguage, glossary = MOCK_GLOSSARY) => {
+    const words = glossary[fromLanguage] || {};
+    return text
+        .replace(/['’]/g, ' ')
+        .split(/([^\p{L}\p{N}]+)/u)
+        .map((part) => words[part.toLowerCase()] || part)
+        .join('')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+const translationError = (message) => {
+    const err = new Error(message);
+    err.code = 'INVALID_TRANSLATION';
+    return err;
+};
+
+// Translates questions into `targetLanguage` before they are compared. Providers: "judge"
+// asks the LLM judge through `generate(request, context)` (the caller rate-limits and
+// charges it), "mock" is an offline word-for-word stub for tests. Translations are cached
+// in memory by source language and text.
+const createTranslator = ({ provider, targetLanguage = 'en', generate = null, glossaryFile = null, maxCached = 10000 }) => {
+    if (!TRANSLATOR_PROVIDERS.includes(provider)) {
+        throw new Error(`Unknown translator "${provider}" (expected ${TRANSLATOR_PROVIDERS.join(' or ')})`);
+    }
+    if (provider === 'judge' && !generate) throw new Error('The judge translator needs a generate function');
+
+    const glossary = Object.fromEntries(Object.entries(MOCK_GLOSSARY).map(([language, words]) => [language, { ...words }]));
+    const cache = new Map();
+    const counters = { translated: 0, cacheHits: 0, failures: 0 };
+
+    // Glossary file: { "<language>": { "<word>": "<translation>" } }, merged over the built-in one
+    const init = async () => {
+        if (provider !== 'mock' || !glossaryFile) return;
+        const data = JSON.parse(await fs.readFile(glossaryFile, 'utf8'));
+        Object.entries(data).forEach(([language, words]) => {
+            glossary[language] = { ...glossary[language], ...Object.fromEntries(
+                Object.entries(words).map(([word, translation]) => [word.toLowerCase(), String(translation)]),
+            ) };
+        });
+        logger.info('Translation glossary loaded', { glossaryFile, languages: Object.keys(data).length });
+    };
+
+    // `translation` describes the request for judges that do not read prompts (the mock)
+    const judgeTranslate = async (text, fromLanguage, context) => {
+        const raw = await generate({
+            prompt: buildTranslationPrompt(text, fromLanguage, targetLanguage),
+            schema: TRANSLATION_SCHEMA,
+            pairs: [],
+            translation: { text, from: fromLanguage, to: targetLanguage },
+        }, context);
+        let parsed;
+        try {
+            parsed = JSON.parse(String(raw).replace(/^```(?:json)?\s*|\s*```$/g, ''));
+        } catch (err) {
+            throw translationError(`Translation is not valid JSON: ${err.message}`);
+        }
+        if (!parsed || typeof parsed.translation !== 'string' || parsed.translation.trim() === '') {
+            throw translationError('Translation response has no translation');
+        }
+        return parsed.translation.trim();
+    };
+
+    // `context` is passed through to generate (the server uses it for the bank id)
+    const translate = async (text, fromLanguage, context = {}) => {
+        if (fromLanguage === targetLanguage) return text;
+        const key = `${fromLanguage}\u0000${text}`;
+        if (cache.has(key)) {
+            counters.cacheHits++;
+            return cache.get(key);
+        }
+
+        let translation;
+        try {
+            translation = provider === 'mock'
+                ? translateWords(text, fromLanguage, glossary)
+                : await judgeTranslate(text, fromLanguage, context);
+        } catch (err) {
+            counters.failures++;
+            throw err;
+        }
+        counters.translated++;
+        if (cache.size >= maxCached) cache.delete(cache.keys().next().value);
+        cache.set(key, translation);
+        return translation;
+    };
+
+    const stats = () => ({
+        provider,
+        targetLanguage,
+        cached: cache.size,
+        ...counters,
+    });
+
+    return {
+        init,
+        translate,
+        stats,
+    };
+};
+
+module.exports = {
+    TRANSLATOR_PROVIDERS,
+    TRANSLATION_SCHEMA,
+    translateWords,
+    createTranslator,
+};
@@ -0,0 +1,78 @@
+// src/utils/eventStream.js
+
+const STREAM_FORMATS = {
+    sse: 'text/event-stream; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+const ACCEPT_FORMATS = {
+    'text/event-stream': 'sse',
+    'application/x-ndjson': 'ndjson',
+};
+
+// The streaming format a request asks for: `stream` in the query or body ("sse" or
+// "ndjson"), else an Accept header naming one of their media types; null for a plain JSON
+// response. An unknown `stream` value is a 400 error.
+const streamFormatOf = (req) => {
+    const requested = (req.query && req.query.stream) || (req.body && req.body.stream);
+    if (requested !== undefined && requested !== 'false') {
+        if (!STREAM_FORMATS[requested]) {
+            const err = new Error(`stream must be one of: ${Object.keys(STREAM_FORMATS).join(', ')}`);
+            err.status = 400;
+            throw err;
+        }
+        return requested;
+    }
+    const accept = String(req.get('accept') || '').toLowerCase();
+    const match = Object.keys(ACCEPT_FORMATS).find((type) => accept.includes(type));
+    return match ? ACCEPT_FORMATS[match] : null;
+};
+
+// Starts a streamed response. Frames are JSON objects { type, ...data }: SSE sends each as
+// an event named after its type, NDJSON as one line. `signal` aborts when the client goes
+// away before close(); frames sent after that are dropped.
+const openEventStream = (res, format) => {
+    const controller = new AbortController();
+    let closed = false;
+    let sequence = 0;
+
+    res.status(200);
+    res.set({
+        'Content-Type': STREAM_FORMATS[format],
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Keep reverse proxies from buffering the stream
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    res.on('close', () => {
+        if (!closed) controller.abort();
+        closed = true;
+    });
+
+    const send = (type, data = {}) => {
+        if (closed || res.destroyed) return;
+        const frame = JSON.stringify({ type, ...data });
+        sequence++;
+        res.write(format === 'sse' ? `id: ${sequence}\nevent: ${type}\ndata: ${frame}\n\n` : `${frame}\n`);
+    };
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        res.end();
+    };
+
+    return {
+        send,
+        close,
+        signal: controller.signal,
+    };
+};
+
+module.exports = {
+    STREAM_FORMATS,
+    streamFormatOf,
+    openEventStream,
+};
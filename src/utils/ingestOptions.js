@@ -0,0 +1,65 @@
+// src/utils/ingestOptions.js
+
+// Ingestion options from an upload form. `format` overrides format detection (the caller
+// checks the name); `sheets` is "all", a comma-separated list or a JSON array of sheet
+// names; `questionColumn` is a header name or a column letter; `headerRow` is the
+// 1-based row holding the headers; `optionColumns` (comma-separated or JSON array) and
+// `answerColumn` name the multiple-choice columns by header or letter. Throws on invalid input.
+const parseNameList = (raw, field) => {
+    if (raw.startsWith('[')) {
+        let names;
+        try {
+            names = JSON.parse(raw);
+        } catch {
+            names = null;
+        }
+        if (!Array.isArray(names) || names.some((name) => typeof name !== 'string')) {
+            throw new Error(`${field} must be a comma-separated list or a JSON array of names`);
+        }
+        return names;
+    }
+    return raw.split(',').map((name) => name.trim()).filter(Boolean);
+};
+
+const parseIngestOptions = (body = {}) => {
+    const options = {};
+
+    if (body.format !== undefined && String(body.format).trim() !== '') {
+        options.format = String(body.format).trim().toLowerCase();
+    }
+
+    if (body.sheets !== undefined && String(body.sheets).trim() !== '') {
+        const raw = String(body.sheets).trim();
+        if (raw === 'all') {
+            options.sheets = 'all';
+        } else {
+            options.sheets = parseNameList(raw, 'sheets');
+        }
+    }
+
+    if (body.questionColumn !== undefined && String(body.questionColumn).trim() !== '') {
+        options.questionColumn = String(body.questionColumn).trim();
+    }
+
+    if (body.headerRow !== undefined && String(body.headerRow).trim() !== '') {
+        const headerRow = Number(body.headerRow);
+        if (!Number.isInteger(headerRow) || headerRow < 1) {
+            throw new Error('headerRow must be a positive integer');
+        }
+        options.headerRow = headerRow;
+    }
+
+    if (body.optionColumns !== undefined && String(body.optionColumns).trim() !== '') {
+        options.optionColumns = parseNameList(String(body.optionColumns).trim(), 'optionColumns');
+    }
+
+    if (body.answerColumn !== undefined && String(body.answerColumn).trim() !== '') {
+        options.answerColumn = String(body.answerColumn).trim();
+    }
+
+    return options;
+};
+
+module.exports = {
+    parseIngestOptions,
+};
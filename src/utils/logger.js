@@ -0,0 +1,76 @@
+// src/utils/logger.js
+const crypto = require('crypto');
+const { currentContext } = require('./requestContext');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Fields that may hold question text, prompts or judge output; logged as a length and a
+// short hash unless LOG_QUESTION_TEXT=true, so equal texts still match across log lines
+const TEXT_FIELDS = new Set(['question', 'question1', 'question2', 'candidate', 'text', 'prompt', 'rawResponse']);
+
+const redactText = (value) => {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (text === undefined) return value;
+    const hash = crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+    return `[redacted ${text.length} chars #${hash}]`;
+};
+
+const serializeError = (err) => ({
+    message: err.message,
+    ...(err.code ? { code: err.code } : {}),
+    ...(err.status ? { status: err.status } : {}),
+    stack: err.stack,
+});
+
+// One JSON object per line: time, level, msg, the request or job context (requestId,
+// clientId, jobId) and `fields`. Errors anywhere in `fields` are expanded; debug and info
+// go to stdout, warn and error to stderr.
+const createLogger = ({ level = 'info', redact = true, write = null } = {}) => {
+    if (!LEVELS.includes(level)) {
+        throw new Error(`Unknown log level "${level}" (expected ${LEVELS.join(', ')})`);
+    }
+    const minimum = LEVELS.indexOf(level);
+
+    const prepare = (fields) => Object.fromEntries(Object.entries(fields).map(([key, value]) => {
+        if (value instanceof Error) return [key, serializeError(value)];
+        if (redact && TEXT_FIELDS.has(key) && value !== null && value !== undefined) return [key, redactText(value)];
+        return [key, value];
+    }));
+
+    const log = (entryLevel, msg, fields = {}) => {
+        if (LEVELS.indexOf(entryLevel) < minimum) return;
+        // Only the identifying fields; the context also carries non-loggable state (signal)
+        const { requestId, clientId, jobId } = currentContext();
+        const line = JSON.stringify({
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg,
+            requestId,
+            clientId,
+            jobId,
+            ...prepare(fields instanceof Error ? { error: fields } : fields),
+        });
+        if (write) return write(line);
+        (LEVELS.indexOf(entryLevel) >= LEVELS.indexOf('warn') ? process.stderr : process.stdout).write(`${line}\n`);
+    };
+
+    return {
+        level,
+        debug: (msg, fields) => log('debug', msg, fields),
+        info: (msg, fields) => log('info', msg, fields),
+        warn: (msg, fields) => log('warn', msg, fields),
+        error: (msg, fields) => log('error', msg, fields),
+    };
+};
+
+// The process-wide logger, configured by LOG_LEVEL and LOG_QUESTION_TEXT
+const logger = createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    redact: process.env.LOG_QUESTION_TEXT !== 'true',
+});
+
+module.exports = {
+    LEVELS,
+    createLogger,
+    logger,
+};
@@ -0,0 +1,15 @@
+// src/utils/mutex.js
+
+// Runs async functions one at a time, in call order
+const createMutex = () => {
+    let tail = Promise.resolve();
+    return (fn) => {
+        const run = tail.then(fn);
+        tail = run.catch(() => {});
+        return run;
+    };
+};
+
+module.exports = {
+    createMutex,
+};
@@ -0,0 +1,23 @@
+// src/utils/redisClient.js
+const { createClient } = require('redis');
+
+// A Redis client whose first connect() fails instead of retrying forever, so an unreachable
+// server or a wrong URL stops startup; once connected, dropped connections are retried
+// with the client's usual backoff.
+const createRedisClient = (url) => {
+    let connected = false;
+    const client = createClient({
+        url,
+        socket: {
+            reconnectStrategy: (retries, cause) => (connected ? Math.min(retries * 50, 500) : cause),
+        },
+    });
+    client.on('ready', () => {
+        connected = true;
+    });
+    return client;
+};
+
+module.exports = {
+    createRedisClient,
+};
@@ -0,0 +1,22 @@
+// src/utils/requestContext.js
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Runs `fn` with `context` visible, through currentContext(), to everything it calls or awaits
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+// The innermost context, or {} outside any request or job
+const currentContext = () => storage.getStore() || {};
+
+// Adds fields to the current context; outside any context it does nothing
+const setContext = (fields) => {
+    const context = storage.getStore();
+    if (context) Object.assign(context, fields);
+};
+
+module.exports = {
+    runWithContext,
+    currentContext,
+    setContext,
+};
@@ -0,0 +1,119 @@
+// test/authService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createAuth } = require('../src/services/authService');
+
+const SECRET = 'test-secret';
+
+const base64Url = (value) => Buffer.from(value).toString('base64url');
+
+const sign = (claims, { secret = SECRET, header = { alg: 'HS256', typ: 'JWT' } } = {}) => {
+    const body = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(claims))}`;
+    return `${body}.${crypto.createHmac('sha256', secret).update(body).digest('base64url')}`;
+};
+
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+const fakeRequest = (method, path, headers = {}) => ({
+    method,
+    path,
+    get: (name) => headers[name.toLowerCase()],
+});
+
+// Runs the middleware and resolves to { status, body, headers, auth } or { next: true, auth }
+const run = (auth, req) => new Promise((resolve) => {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            resolve({ status: this.statusCode, body, headers: this.headers, auth: req.auth });
+        },
+    };
+    auth.middleware(req, res, () => resolve({ next: true, auth: req.auth }));
+});
+
+const auth = createAuth({
+    apiKeys: 'alice:author:ka,root:admin:kadm',
+    jwtSecret: SECRET,
+    rules: [
+        { path: /^\/health$/, role: null },
+        { methods: ['POST'], path: /^\/calibrate$/, role: 'admin' },
+    ],
+});
+
+const bearer = (token) => ({ authorization: `Bearer ${token}` });
+
+test('a valid token is accepted with its highest role', async () => {
+    const result = await run(auth, fakeRequest('POST', '/calibrate', bearer(sign({ sub: 'carol', roles: ['viewer', 'admin'], exp: inOneHour() }))));
+    assert.equal(result.next, true);
+    assert.deepEqual(result.auth, { subject: 'carol', role: 'admin', method: 'jwt' });
+});
+
+test('tokens with a bad signature, algorithm or segments are rejected with a 401', async () => {
+    const claims = { sub: 'carol', role: 'author', exp: inOneHour() };
+    const nullClaims = `${base64Url('{"alg":"HS256"}')}.${base64Url('null')}`;
+    const cases = {
+        'Invalid token signature': sign(claims, { secret: 'other-secret' }),
+        'Unsupported token algorithm none': sign(claims, { header: { alg: 'none' } }),
+        'Malformed token': `${nullClaims}.${crypto.createHmac('sha256', SECRET).update(nullClaims).digest('base64url')}`,
+    };
+    for (const [error, token] of Object.entries(cases)) {
+        const result = await run(auth, fakeRequest('GET', '/questions', bearer(token)));
+        assert.equal(result.status, 401, error);
+        assert.equal(result.body.error, error);
+        assert.equal(result.headers['WWW-Authenticate'], 'Bearer');
+    }
+    const malformed = await run(auth, fakeRequest('GET', '/questions', bearer('not.a-token')));
+    assert.equal(malformed.body.error, 'Malformed token');
+});
+
+test('tokens without an expiry or past it are rejected', async () => {
+    const noExpiry = await run(auth, fakeRequest('GET', '/questions', bearer(sign({ role: 'viewer' }))));
+    assert.equal(noExpiry.status, 401);
+    assert.equal(noExpiry.body.error, 'Token has no expiry (exp claim)');
+
+    const expired = await run(auth, fakeRequest('GET', '/questions', bearer(sign({ role: 'viewer', exp: inOneHour() - 7200 }))));
+    assert.equal(expired.status, 401);
+    assert.equal(expired.body.error, 'Token expired');
+});
+
+test('issuer and audience are checked when configured', async () => {
+    const strict = createAuth({ jwtSecret: SECRET, jwtIssuer: 'idp', jwtAudience: 'dedup' });
+    const good = await run(strict, fakeRequest('GET', '/questions', bearer(sign({ role: 'viewer', iss: 'idp', aud: ['dedup', 'other'], exp: inOneHour() }))));
+    assert.equal(good.next, true);
+    const wrongIssuer = await run(strict, fakeRequest('GET', '/questions', bearer(sign({ role: 'viewer', iss: 'evil', aud: 'dedup', exp: inOneHour() }))));
+    assert.equal(wrongIssuer.body.error, 'Unexpected token issuer');
+});
+
+test('a token granting no known role is forbidden', async () => {
+    const result = await run(auth, fakeRequest('GET', '/questions', bearer(sign({ role: 'superuser', exp: inOneHour() }))));
+    assert.equal(result.status, 403);
+});
+
+test('route rules decide the role a request needs', async () => {
+    const author = { 'x-api-key': 'ka' };
+    assert.equal((await run(auth, fakeRequest('POST', '/calibrate', author))).status, 403);
+    assert.equal((await run(auth, fakeRequest('POST', '/calibrate', { 'x-api-key': 'kadm' }))).next, true);
+    assert.equal((await run(auth, fakeRequest('POST', '/questions', author))).next, true);
+    assert.equal((await run(auth, fakeRequest('GET', '/health'))).next, true);
+    assert.equal((await run(auth, fakeRequest('GET', '/health', { 'x-api-key': 'wrong' }))).next, true);
+    assert.equal((await run(auth, fakeRequest('GET', '/health', bearer('not-a-token')))).next, true);
+    assert.equal((await run(auth, fakeRequest('GET', '/questions'))).status, 401);
+    assert.equal((await run(auth, fakeRequest('GET', '/questions', { 'x-api-key': 'wrong' }))).body.error, 'Invalid API key');
+});
+
+test('with no credentials configured every request passes as admin', async () => {
+    const open = createAuth({});
+    assert.equal(open.enabled, false);
+    const result = await run(open, fakeRequest('POST', '/calibrate'));
+    assert.equal(result.auth.role, 'admin');
+});
@@ -0,0 +1,118 @@
+// test/bankRegistry.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_BANK_ID, createBankRegistry } = require('../src/services/bankRegistry');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'banks-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const DEFAULTS = { similarity: 0.85, prefilter: 0.5 };
+
+let files = 0;
+const newRegistry = async (filePath = path.join(tmpDir, `banks-${files++}.json`), { inUse } = {}) => {
+    const opened = [];
+    const closed = [];
+    const registry = createBankRegistry({
+        filePath,
+        defaults: DEFAULTS,
+        openBank: async (meta) => {
+            opened.push(meta.id);
+            return { store: `store:${meta.id}` };
+        },
+        closeBank: async (bank, options) => closed.push({ id: bank.id, ...options }),
+        inUse,
+    });
+    await registry.init();
+    return { registry, opened, closed };
+};
+
+test('the default bank always exists with the default thresholds', async () => {
+    const { registry } = await newRegistry();
+    assert.equal(registry.has(DEFAULT_BANK_ID), true);
+    const [bank] = registry.list();
+    assert.equal(bank.name, 'Default bank');
+    assert.deepEqual(bank.thresholds, DEFAULTS);
+    await assert.rejects(registry.remove(DEFAULT_BANK_ID), { status: 400 });
+});
+
+test('banks are validated on create', async () => {
+    const { registry } = await newRegistry();
+    await registry.create({ id: 'physics', thresholds: { similarity: 0.9 } });
+    await assert.rejects(registry.create({ id: 'physics' }), { status: 409 });
+    await assert.rejects(registry.create({ id: 'Physics 101' }), { status: 400 });
+    await assert.rejects(registry.create({ id: 'chem', thresholds: { recall: 0.5 } }), { status: 400, message: /Unknown threshold "recall"/ });
+    await assert.rejects(registry.create({ id: 'chem', thresholds: { similarity: 1.5 } }), { status: 400 });
+    await assert.rejects(registry.create({ id: 'chem', crossBankCheck: 'yes' }), { status: 400 });
+
+    const physics = registry.list().find(({ id }) => id === 'physics');
+    assert.deepEqual(physics.thresholds, { similarity: 0.9, prefilter: 0.5 });
+});
+
+test('updates merge thresholds and null drops an override', async () => {
+    const { registry } = await newRegistry();
+    await registry.create({ id: 'physics', thresholds: { similarity: 0.9, prefilter: 0.6 } });
+    await registry.update('physics', { name: 'Physics', thresholds: { prefilter: null } });
+    const bank = await registry.get('physics');
+    assert.equal(bank.meta.name, 'Physics');
+    assert.deepEqual(bank.thresholds, { similarity: 0.9, prefilter: 0.5 });
+    await assert.rejects(registry.update('missing', {}), { status: 404 });
+});
+
+test('a prefilter above the similarity threshold is rejected', async () => {
+    const { registry } = await newRegistry();
+    await assert.rejects(registry.create({ id: 'physics', thresholds: { prefilter: 0.9, similarity: 0.8 } }), {
+        status: 400,
+        message: 'thresholds.prefilter (0.9) must not exceed thresholds.similarity (0.8)',
+    });
+    // Checked against the defaults for a threshold the bank does not set
+    await assert.rejects(registry.create({ id: 'physics', thresholds: { prefilter: 0.9 } }), { status: 400 });
+    assert.equal(registry.has('physics'), false);
+
+    await registry.create({ id: 'physics', thresholds: { similarity: 0.9, prefilter: 0.6 } });
+    await assert.rejects(registry.update('physics', { name: 'Physics', thresholds: { similarity: 0.5 } }), { status: 400 });
+    await assert.rejects(registry.update('physics', { thresholds: { similarity: null, prefilter: 0.88 } }), { status: 400 });
+    const bank = await registry.get('physics');
+    assert.equal(bank.meta.name, 'physics');
+    assert.deepEqual(bank.thresholds, { similarity: 0.9, prefilter: 0.6 });
+});
+
+test('a bank in use cannot be deleted', async () => {
+    const busy = new Set(['physics']);
+    const { registry, closed } = await newRegistry(undefined, { inUse: (id) => (busy.has(id) ? '1 running job' : null) });
+    await registry.create({ id: 'physics' });
+    await assert.rejects(registry.remove('physics'), { status: 409, message: /in use by 1 running job/ });
+    assert.equal(registry.has('physics'), true);
+    assert.deepEqual(closed, []);
+
+    busy.clear();
+    await registry.remove('physics');
+    assert.equal(registry.has('physics'), false);
+});
+
+test('a bank is opened once and destroyed on delete', async () => {
+    const { registry, opened, closed } = await newRegistry();
+    await registry.create({ id: 'physics' });
+    const [first, second] = await Promise.all([registry.get('physics'), registry.get('physics')]);
+    assert.equal(first, second);
+    assert.equal(first.store, 'store:physics');
+    assert.deepEqual(opened, ['physics']);
+
+    await registry.remove('physics');
+    assert.deepEqual(closed, [{ id: 'physics', destroy: true }]);
+    assert.equal(registry.has('physics'), false);
+    await assert.rejects(registry.get('physics'), { status: 404 });
+});
+
+test('bank metadata survives a restart', async () => {
+    const filePath = path.join(tmpDir, 'persisted.json');
+    const { registry } = await newRegistry(filePath);
+    await registry.create({ id: 'history', name: 'History', crossBankCheck: ['default'] });
+
+    const { registry: reloaded } = await newRegistry(filePath);
+    const history = reloaded.list().find(({ id }) => id === 'history');
+    assert.equal(history.name, 'History');
+    assert.deepEqual(history.crossBankCheck, ['default']);
+});
@@ -0,0 +1,85 @@
+// test/calibrationService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    readLabelledPairs,
+    confusionAt,
+    evaluateScorer,
+    recommendThresholds,
+} = require('../src/services/calibrationService');
+
+const scored = (duplicates, distinct) => [
+    ...duplicates.map((score) => ({ score, duplicate: true })),
+    ...distinct.map((score) => ({ score, duplicate: false })),
+];
+
+test('a pair scoring exactly the threshold counts as a duplicate', () => {
+    const point = confusionAt(scored([0.8], [0.3]), 0.8);
+    assert.deepEqual({ tp: point.tp, fp: point.fp, fn: point.fn }, { tp: 1, fp: 0, fn: 0 });
+    assert.equal(confusionAt(scored([0.8], [0.3]), 0.81).fn, 1);
+});
+
+test('a pair the judge calls the same question is a duplicate whatever its score', () => {
+    const pairs = [
+        { score: 0.4, duplicate: true, sameQuestion: true },
+        { score: 0.45, duplicate: false, sameQuestion: true },
+        ...scored([0.9], [0.2]),
+    ];
+    const point = confusionAt(pairs, 0.8);
+    assert.deepEqual({ tp: point.tp, fp: point.fp, fn: point.fn }, { tp: 2, fp: 1, fn: 0 });
+    assert.equal(evaluateScorer(pairs).curve.every((entry) => entry.fp >= 1), true);
+});
+
+test('the best threshold is the middle of the tied best-F1 run', () => {
+    // Every threshold from 0.51 to 0.80 separates the pairs perfectly
+    const evaluation = evaluateScorer(scored([0.9, 0.8], [0.3, 0.5]));
+    assert.equal(evaluation.best.threshold, 0.65);
+    assert.equal(evaluation.best.f1, 1);
+    assert.equal(evaluation.averagePrecision, 1);
+});
+
+test('between two equally wide best-F1 runs the higher one wins', () => {
+    // F1 is best for thresholds 0.11-0.20 and 0.71-0.80, with a dip in between
+    const evaluation = evaluateScorer(scored([0.8, 0.2], [0.7, 0.7, 0.1, 0.1]));
+    const bestF1 = evaluation.best.f1;
+    const tied = evaluation.curve.filter((point) => point.f1 === bestF1).map((point) => point.threshold);
+    assert.ok(tied.includes(0.15) && tied.includes(0.75), `tied thresholds: ${tied}`);
+    assert.equal(evaluation.best.threshold, 0.75);
+});
+
+test('unscored pairs are skipped and one-sided sets have no best point', () => {
+    const evaluation = evaluateScorer([...scored([0.9], [0.2]), { score: null, duplicate: true }]);
+    assert.equal(evaluation.pairs, 2);
+    assert.equal(evaluation.skipped, 1);
+    assert.equal(evaluateScorer(scored([0.9, 0.8], [])).best, null);
+});
+
+test('recommended thresholds follow the judge and the target recall', () => {
+    const lexical = evaluateScorer(scored([0.9, 0.6, 0.4], [0.35, 0.2]));
+    const llm = evaluateScorer(scored([0.95, 0.9, 0.85], [0.3, 0.1]));
+    const recommended = recommendThresholds({ lexical, llm }, { targetRecall: 1 });
+    assert.equal(recommended.similarity.basedOn, 'llm');
+    assert.equal(recommended.similarity.value, llm.best.threshold);
+    assert.equal(recommended.prefilter.value, 0.4);
+    assert.equal(recommended.prefilter.recall, 1);
+
+    assert.equal(recommendThresholds({ lexical }, { targetRecall: 1 }).similarity.basedOn, 'lexical');
+});
+
+test('labelled pairs are read from loosely named columns', () => {
+    const pairs = readLabelledPairs([
+        { 'Question 1': 'A?', Q2: 'B?', 'Is Duplicate': 'yes' },
+        { 'Question 1': 'C?', Q2: 'D?', 'Is Duplicate': 0 },
+    ]);
+    assert.deepEqual(pairs, [
+        { question1: 'A?', question2: 'B?', duplicate: true },
+        { question1: 'C?', question2: 'D?', duplicate: false },
+    ]);
+});
+
+test('labelled pairs are rejected with a 400', () => {
+    assert.throws(() => readLabelledPairs([]), { status: 400 });
+    assert.throws(() => readLabelledPairs([{ q1: 'A?', q2: 'B?' }]), { status: 400, message: /missing: label/ });
+    assert.throws(() => readLabelledPairs([{ q1: 'A?', q2: 'B?', label: 'maybe' }]), { status: 400, message: /unknown label/ });
+    assert.throws(() => readLabelledPairs([{ q1: 'A?', q2: 'B?', label: 1 }]), { status: 400, message: /both duplicate and non-duplicate/ });
+});
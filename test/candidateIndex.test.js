@@ -0,0 +1,131 @@
+// test/candidateIndex.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCandidateIndex } = require('../src/services/candidateIndex');
+const { createNormalizer } = require('../src/services/normalizer');
+
+const normalizer = createNormalizer();
+
+const PARAPHRASES = [
+    ['What is the capital city of France?', 'Which city is the capital of France?'],
+    ['Who wrote the novel Pride and Prejudice?', 'Which author wrote Pride and Prejudice?'],
+    ['What is Newton\'s second law of motion?', 'State Newton\'s second law of motion.'],
+    ['How many bones are in the adult human body?', 'How many bones does an adult human have?'],
+    ['Who painted the Mona Lisa?', 'Which artist painted the Mona Lisa?'],
+    ['What does a brake caliper do on a car?', 'Explain the function of a brake caliper in a vehicle.'],
+    ['What is the square root of 144?', 'Calculate the square root of 144.'],
+];
+
+const UNRELATED = [
+    'What is the freezing point of water in Fahrenheit?',
+    'What does DNA stand for?',
+    'Which organ pumps blood through the body?',
+    'What is the longest river in Africa?',
+    'Who discovered penicillin?',
+    'What is the primary function of the kidneys?',
+    'What language is spoken in Brazil?',
+    'What is the currency of Japan?',
+];
+
+// Deterministic unit vector and a neighbour at the given cosine
+const vectors = (dim, cosine, seed) => {
+    let state = seed;
+    const next = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648 - 0.5;
+    };
+    const unit = (v) => {
+        const norm = Math.hypot(...v);
+        return v.map((x) => x / norm);
+    };
+    const a = unit(Array.from({ length: dim }, next));
+    const noise = Array.from({ length: dim }, next);
+    const dot = noise.reduce((sum, x, i) => sum + x * a[i], 0);
+    const orthogonal = unit(noise.map((x, i) => x - dot * a[i]));
+    const b = a.map((x, i) => cosine * x + Math.sqrt(1 - cosine * cosine) * orthogonal[i]);
+    return [a, b];
+};
+
+const tmpDirs = [];
+const tmpFile = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'candidate-index-'));
+    tmpDirs.push(dir);
+    return path.join(dir, 'index.jsonl');
+};
+
+test.after(() => tmpDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+const lineCount = (filePath) => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).length;
+
+test('band layout is tuned for the configured thresholds', () => {
+    const stats = createCandidateIndex().stats();
+    assert.equal(stats.rowsPerBand * stats.lexicalBands <= stats.numHashes, true);
+    assert.equal(stats.bitsPerBand * stats.semanticBands <= stats.semanticBits, true);
+    const strict = createCandidateIndex({ lexicalThreshold: 0.8 }).stats();
+    assert.equal(strict.rowsPerBand > stats.rowsPerBand, true);
+});
+
+test('lexical paraphrases are recalled without returning the whole bank', async () => {
+    const index = createCandidateIndex();
+    const items = [];
+    PARAPHRASES.forEach(([a, b], i) => {
+        items.push({ id: `a${i}`, text: normalizer.lexical(a) }, { id: `b${i}`, text: normalizer.lexical(b) });
+    });
+    UNRELATED.forEach((text, i) => items.push({ id: `u${i}`, text: normalizer.lexical(text) }));
+    await index.add(items);
+
+    let returned = 0;
+    PARAPHRASES.forEach(([a], i) => {
+        const found = index.query({ text: normalizer.lexical(a) }, 10).filter(({ id }) => id !== `a${i}`);
+        assert.ok(found.some(({ id }) => id === `b${i}`), `"${a}" should find its paraphrase`);
+        returned += found.length;
+    });
+    assert.ok(returned < PARAPHRASES.length * 3, `too many candidates: ${returned}`);
+});
+
+test('semantic neighbours above the threshold are recalled', async () => {
+    const index = createCandidateIndex();
+    let recalled = 0;
+    for (let i = 0; i < 20; i++) {
+        const [a, b] = vectors(64, 0.85, i + 1);
+        await index.add([{ id: `near${i}`, text: `unrelated text number ${i}`, vector: b }]);
+        const found = index.query({ text: 'a query with nothing in common', vector: a }, 5);
+        if (found.some(({ id }) => id === `near${i}`)) recalled++;
+    }
+    assert.ok(recalled >= 18, `recalled ${recalled} of 20`);
+});
+
+test('the log is compacted once stale lines outnumber live questions', async () => {
+    const filePath = tmpFile();
+    const index = createCandidateIndex({ filePath, compactAfter: 2 });
+    await index.init();
+    const items = UNRELATED.slice(0, 4).map((text, i) => ({ id: `q${i}`, text }));
+
+    await index.add(items);
+    assert.equal(lineCount(filePath), 5);
+    await index.remove(['q0']);
+    assert.equal(lineCount(filePath), 6);
+    await index.add(items.slice(1));
+    assert.equal(lineCount(filePath), 4);
+
+    const reloaded = createCandidateIndex({ filePath, compactAfter: 2 });
+    await reloaded.init();
+    assert.deepEqual(reloaded.ids().sort(), ['q1', 'q2', 'q3']);
+});
+
+test('a log with stale lines is rewritten on load', async () => {
+    const filePath = tmpFile();
+    const index = createCandidateIndex({ filePath });
+    await index.init();
+    await index.add([{ id: 'q0', text: UNRELATED[0] }, { id: 'q1', text: UNRELATED[1] }]);
+    await index.remove(['q0']);
+    assert.equal(lineCount(filePath), 4);
+
+    const reloaded = createCandidateIndex({ filePath });
+    await reloaded.init();
+    assert.deepEqual(reloaded.ids(), ['q1']);
+    assert.equal(lineCount(filePath), 2);
+});
@@ -0,0 +1,69 @@
+// test/clusterService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xlsx = require('xlsx');
+const { buildClusters, writeClusterReport } = require('../src/services/clusterService');
+
+const ITEMS = [
+    { id: 'q1', text: 'Capital of France?', createdAt: '2024-03-01T00:00:00Z' },
+    { id: 'q2', text: 'What is the capital city of France?', createdAt: '2024-01-01T00:00:00Z' },
+    { id: 'q3', text: 'Which city is the capital of France?', createdAt: '2024-02-01T00:00:00Z', rowData: { Q: 'x', Topic: 'Geo', Level: '1' } },
+    { id: 'q4', text: 'Who wrote Hamlet?', createdAt: '2024-01-01T00:00:00Z' },
+    { id: 'q5', text: 'Hamlet was written by whom?', createdAt: '2024-01-02T00:00:00Z' },
+    { id: 'q6', text: 'What is 2+2?' },
+];
+
+// q1-q2 and q2-q3 match, so all three cluster even though q1 and q3 were never compared
+const EDGES = [
+    { a: 0, b: 1, score: 0.9, reasons: ['Same capital'] },
+    { a: 1, b: 2, score: 0.88, reasons: ['Same capital'] },
+    { a: 3, b: 4, score: 0.95, reasons: ['Same play'] },
+];
+
+test('matches are grouped transitively, largest cluster first', () => {
+    const report = buildClusters(ITEMS, EDGES);
+    assert.equal(report.clusterCount, 2);
+    assert.equal(report.clusteredQuestions, 5);
+    assert.equal(report.redundantQuestions, 3);
+
+    const [france, hamlet] = report.clusters;
+    assert.equal(france.id, 'cluster-1');
+    assert.equal(france.size, 3);
+    assert.deepEqual(france.matches.map(({ a, b }) => [a, b]), [['q1', 'q2'], ['q2', 'q3']]);
+    assert.equal(hamlet.size, 2);
+});
+
+test('the canonical question follows the rule', () => {
+    const canonical = (rule) => buildClusters(ITEMS, EDGES, { rule }).clusters[0].canonical.id;
+    assert.equal(canonical('earliest'), 'q2');
+    assert.equal(canonical('longest'), 'q3');
+    assert.equal(canonical('most-complete'), 'q3');
+    assert.throws(() => buildClusters(ITEMS, EDGES, { rule: 'newest' }), /Unknown canonical rule "newest"/);
+});
+
+test('questions without a match are left out', () => {
+    const report = buildClusters(ITEMS, []);
+    assert.equal(report.clusterCount, 0);
+    assert.equal(report.totalQuestions, ITEMS.length);
+});
+
+test('the cluster report lists every member with the canonical first', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clusters-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'clusters.xlsx');
+    writeClusterReport(buildClusters(ITEMS, EDGES), filePath);
+
+    const workbook = xlsx.readFile(filePath);
+    assert.deepEqual(workbook.SheetNames, ['Clusters', 'Summary']);
+    const rows = xlsx.utils.sheet_to_json(workbook.Sheets.Clusters);
+    assert.deepEqual(rows.map((row) => [row.Cluster, row.Role, row['Question ID']]), [
+        ['cluster-1', 'canonical', 'q2'],
+        ['cluster-1', 'duplicate', 'q1'],
+        ['cluster-1', 'duplicate', 'q3'],
+        ['cluster-2', 'canonical', 'q4'],
+        ['cluster-2', 'duplicate', 'q5'],
+    ]);
+});
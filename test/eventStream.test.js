@@ -0,0 +1,85 @@
+// test/eventStream.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { streamFormatOf, openEventStream } = require('../src/utils/eventStream');
+
+const fakeRequest = ({ query = {}, body = {}, accept = '' } = {}) => ({
+    query,
+    body,
+    get: (name) => (name.toLowerCase() === 'accept' ? accept : undefined),
+});
+
+// Enough of an Express response to stream into
+const fakeResponse = () => {
+    const res = new EventEmitter();
+    Object.assign(res, {
+        statusCode: null,
+        headers: {},
+        chunks: [],
+        ended: false,
+        destroyed: false,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        set(headers) {
+            Object.assign(this.headers, headers);
+            return this;
+        },
+        flushHeaders() {},
+        write(chunk) {
+            this.chunks.push(chunk);
+        },
+        end() {
+            this.ended = true;
+            this.emit('close');
+        },
+    });
+    return res;
+};
+
+test('the stream format comes from the query, the body or the Accept header', () => {
+    assert.equal(streamFormatOf(fakeRequest({ query: { stream: 'sse' } })), 'sse');
+    assert.equal(streamFormatOf(fakeRequest({ body: { stream: 'ndjson' } })), 'ndjson');
+    assert.equal(streamFormatOf(fakeRequest({ accept: 'application/x-ndjson' })), 'ndjson');
+    assert.equal(streamFormatOf(fakeRequest({ accept: 'text/event-stream, */*' })), 'sse');
+    assert.equal(streamFormatOf(fakeRequest({ query: { stream: 'false' }, accept: 'application/json' })), null);
+    assert.throws(() => streamFormatOf(fakeRequest({ query: { stream: 'websocket' } })), { status: 400 });
+});
+
+test('SSE frames are numbered events named after their type', () => {
+    const res = fakeResponse();
+    const stream = openEventStream(res, 'sse');
+    stream.send('result', { row: 1, isDuplicate: false });
+    stream.send('done');
+    stream.close();
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['Content-Type'], 'text/event-stream; charset=utf-8');
+    assert.deepEqual(res.chunks, [
+        'id: 1\nevent: result\ndata: {"type":"result","row":1,"isDuplicate":false}\n\n',
+        'id: 2\nevent: done\ndata: {"type":"done"}\n\n',
+    ]);
+    assert.equal(res.ended, true);
+    assert.equal(stream.signal.aborted, false);
+});
+
+test('NDJSON frames are one JSON object per line', () => {
+    const res = fakeResponse();
+    const stream = openEventStream(res, 'ndjson');
+    stream.send('stats', { processed: 2 });
+    assert.deepEqual(res.chunks, ['{"type":"stats","processed":2}\n']);
+});
+
+test('a client going away aborts the signal and later frames are dropped', () => {
+    const res = fakeResponse();
+    const stream = openEventStream(res, 'ndjson');
+    res.emit('close');
+
+    assert.equal(stream.signal.aborted, true);
+    stream.send('result', { row: 1 });
+    stream.close();
+    assert.deepEqual(res.chunks, []);
+    assert.equal(res.ended, false);
+});
@@ -0,0 +1,37 @@
+// test/explainService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sharedWords, sharedNgrams, wordDiff, formatDiff } = require('../src/services/explainService');
+
+test('the word diff keeps shared words and marks the changed ones', () => {
+    const diff = wordDiff('What is the boiling point of water?', 'What is the freezing point of water?');
+    assert.deepEqual(diff, [
+        { op: 'equal', text: 'What is the' },
+        { op: 'delete', text: 'boiling' },
+        { op: 'insert', text: 'freezing' },
+        { op: 'equal', text: 'point of water?' },
+    ]);
+    assert.equal(formatDiff(diff), 'What is the [-boiling-] {+freezing+} point of water?');
+});
+
+test('the word diff ignores case and punctuation', () => {
+    assert.deepEqual(wordDiff('WHAT is 2+2 ?', 'what is 2+2'), [{ op: 'equal', text: 'what is 2+2' }]);
+    assert.deepEqual(wordDiff('', 'Who wrote Hamlet?'), [{ op: 'insert', text: 'Who wrote Hamlet?' }]);
+    assert.deepEqual(wordDiff('Who wrote Hamlet?', ''), [{ op: 'delete', text: 'Who wrote Hamlet?' }]);
+});
+
+test('shared n-grams are maximal, longest first and never nested', () => {
+    assert.deepEqual(
+        sharedNgrams('What is the boiling point of water at sea level?', 'At sea level, what is the boiling point of water?'),
+        ['what is the boiling point of water', 'at sea level'],
+    );
+    assert.deepEqual(sharedNgrams('Who wrote Hamlet?', 'Who painted the Mona Lisa?'), []);
+    assert.deepEqual(sharedNgrams('Who wrote Hamlet?', 'Who painted the Mona Lisa?', { minLength: 1 }), ['who']);
+});
+
+test('shared words skip short and stop words', () => {
+    assert.deepEqual(
+        sharedWords('What is the boiling point of water?', 'Water boils at what point?', { stopWords: new Set(['what']) }),
+        ['point', 'water'],
+    );
+});
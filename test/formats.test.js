@@ -0,0 +1,92 @@
+// test/formats.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseGift, serializeGift } = require('../src/services/formats/gift');
+const { parseQti, serializeQti } = require('../src/services/formats/qti');
+const { parseJsonl, serializeJsonl } = require('../src/services/formats/jsonl');
+const { workbookToRecords } = require('../src/services/formats/table');
+const {
+    detectFormat,
+    readWorkbook,
+    writeWorkbook,
+    recordsToWorkbook,
+} = require('../src/services/formats');
+
+const QUESTIONS = [
+    { id: 'q1', title: 'Capital', question: 'What is the capital of France?', type: 'multichoice', options: ['Paris', 'Lyon', 'Nice'], answers: ['Paris'], category: 'Geography' },
+    { id: 'q2', title: 'Sky', question: 'The sky is blue: true or false?', type: 'truefalse', options: ['True', 'False'], answers: ['True'], category: 'Geography' },
+    { id: 'q3', title: 'Symbols', question: 'Escape {these} = ~ # : characters & 1 < 2', type: 'shortanswer', options: [], answers: ['a=b'], category: 'Misc' },
+    { id: 'q4', title: 'Essay', question: 'Describe photosynthesis.', type: 'essay', options: [], answers: [], category: 'Misc' },
+    { id: 'q5', title: 'Number', question: 'What is 6 x 7?', type: 'numerical', options: [], answers: ['42'], category: 'Misc' },
+];
+
+const without = (records, field) => records.map(({ [field]: _, ...rest }) => rest);
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'formats-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('GIFT round-trips questions, answers, escapes and categories', () => {
+    const gift = serializeGift(QUESTIONS);
+    assert.match(gift, /\$CATEGORY: Geography/);
+    assert.deepEqual(parseGift(gift), without(QUESTIONS, 'id'));
+});
+
+test('GIFT reads comments, weights and feedback', () => {
+    const [question] = parseGift([
+        '// a comment',
+        '::Planets::Which are planets? {',
+        '    ~%50%Mars # yes',
+        '    ~%50%Venus',
+        '    ~%-100%Moon # no',
+        '}',
+    ].join('\n'));
+    assert.equal(question.question, 'Which are planets?');
+    assert.deepEqual(question.options, ['Mars', 'Venus', 'Moon']);
+    assert.deepEqual(question.answers, ['Mars', 'Venus']);
+});
+
+test('QTI round-trips questions, answers and XML special characters', () => {
+    const xml = serializeQti(QUESTIONS, { title: 'Bank & more' });
+    assert.match(xml, /title="Bank &amp; more"/);
+    // QTI 1.2 items have no category
+    assert.deepEqual(without(parseQti(xml), 'category'), without(QUESTIONS, 'category'));
+});
+
+test('JSONL round-trips records and reports the failing line', () => {
+    const records = [{ Question: 'A?', Score: 1 }, { Question: 'B?', Tags: ['x', 'y'] }];
+    assert.deepEqual(parseJsonl(`${serializeJsonl(records)}\n`), records);
+    assert.throws(() => parseJsonl('{"Question": "A?"}\n{oops}\n'), /Invalid JSON on line 2/);
+    assert.throws(() => parseJsonl('[1, 2]'), /Line 1 is not a JSON object/);
+});
+
+const roundTrip = (format, fileName) => {
+    const records = [
+        { Question: 'What is the capital of France?', Answer: 'Paris', Notes: 'has, a comma' },
+        { Question: 'Who wrote "Hamlet"?', Answer: 'Shakespeare', Notes: '' },
+    ];
+    const filePath = path.join(tmpDir, fileName);
+    writeWorkbook(recordsToWorkbook(records, 'Questions'), filePath, format);
+    assert.equal(detectFormat(filePath, fileName), format);
+    assert.equal(detectFormat(filePath, 'upload.txt'), format);
+    assert.deepEqual(workbookToRecords(readWorkbook(filePath, format)), records);
+};
+
+test('CSV files round-trip through the workbook', () => roundTrip('csv', 'bank.csv'));
+
+test('JSONL files round-trip through the workbook', () => roundTrip('jsonl', 'bank.jsonl'));
+
+test('GIFT and QTI files round-trip through the workbook', () => {
+    for (const [format, fileName] of [['gift', 'bank.gift'], ['qti', 'bank.xml']]) {
+        const filePath = path.join(tmpDir, fileName);
+        const source = format === 'gift' ? serializeGift(QUESTIONS) : serializeQti(QUESTIONS);
+        fs.writeFileSync(filePath, source);
+        assert.equal(detectFormat(filePath, 'upload.txt'), format);
+
+        const exported = path.join(tmpDir, `exported-${fileName}`);
+        writeWorkbook(readWorkbook(filePath, format), exported, format);
+        assert.equal(fs.readFileSync(exported, 'utf8'), source);
+    }
+});
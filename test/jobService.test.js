@@ -0,0 +1,174 @@
+// test/jobService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJobService } = require('../src/services/jobService');
+
+const tmpDirs = [];
+const tmpDir = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    tmpDirs.push(dir);
+    return dir;
+};
+test.after(() => tmpDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+const waitFor = async (check, timeoutMs = 2000) => {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting');
+        await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+};
+
+// A runner that waits until released or aborted
+const blockingRunner = () => {
+    const started = [];
+    const releases = new Map();
+    const runner = (job, { signal }) => new Promise((resolve, reject) => {
+        started.push(job.id);
+        releases.set(job.id, resolve);
+        signal.addEventListener('abort', () => {
+            const err = new Error('aborted');
+            err.name = 'AbortError';
+            reject(err);
+        });
+    });
+    return { runner, started, release: (id, result) => releases.get(id)(result) };
+};
+
+const readJob = (dir, id) => JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), 'utf8'));
+
+test('a job runs to completion and is persisted with its result', async () => {
+    const dir = tmpDir();
+    const finished = [];
+    const jobs = createJobService({
+        dir,
+        runner: async (job, { reportProgress }) => {
+            await reportProgress({ rowsTotal: 2, rowsDone: 2 });
+            return { stored: 2 };
+        },
+        onFinished: async (job) => finished.push(job.id),
+    });
+    await jobs.init();
+    const job = await jobs.create({ file: 'upload.xlsx' });
+
+    await waitFor(() => jobs.get(job.id).status === 'completed');
+    await waitFor(() => finished.length === 1);
+    const saved = readJob(dir, job.id);
+    assert.equal(saved.status, 'completed');
+    assert.deepEqual(saved.result, { stored: 2 });
+    assert.equal(saved.progress.rowsDone, 2);
+    assert.deepEqual(jobs.counts(), { completed: 1 });
+});
+
+test('a failing runner marks the job failed with its message', async () => {
+    const jobs = createJobService({ dir: tmpDir(), runner: async () => { throw new Error('Sheet not found'); } });
+    await jobs.init();
+    const job = await jobs.create({});
+    await waitFor(() => jobs.get(job.id).status === 'failed');
+    assert.equal(jobs.get(job.id).error, 'Sheet not found');
+});
+
+test('cancelling a running job aborts its runner', async () => {
+    const dir = tmpDir();
+    const { runner, started } = blockingRunner();
+    const finished = [];
+    const jobs = createJobService({ dir, runner, onFinished: async (job) => finished.push(job.id) });
+    await jobs.init();
+    const job = await jobs.create({});
+    await waitFor(() => started.includes(job.id));
+
+    // The cancel's write and the runner's final write overlap
+    await jobs.cancel(job.id);
+    await waitFor(() => finished.length === 1);
+    assert.equal(jobs.get(job.id).status, 'cancelled');
+    assert.equal(readJob(dir, job.id).status, 'cancelled');
+    assert.equal(await jobs.cancel('job-unknown'), null);
+});
+
+test('cancelling a queued job keeps it from ever running', async () => {
+    const { runner, started, release } = blockingRunner();
+    const jobs = createJobService({ dir: tmpDir(), runner, maxConcurrent: 1 });
+    await jobs.init();
+    const first = await jobs.create({});
+    const second = await jobs.create({});
+    await waitFor(() => started.includes(first.id));
+    assert.deepEqual(jobs.active().map(({ id }) => id), [first.id, second.id]);
+
+    assert.equal((await jobs.cancel(second.id)).status, 'cancelled');
+    release(first.id, {});
+    await waitFor(() => jobs.get(first.id).status === 'completed');
+    assert.deepEqual(started, [first.id]);
+    assert.deepEqual(jobs.active(), []);
+});
+
+test('an interrupted job resumes from its checkpoint on the next start', async () => {
+    const dir = tmpDir();
+    const { runner, started } = blockingRunner();
+    const before = createJobService({
+        dir,
+        runner: async (job, options) => {
+            await options.reportProgress({ rowsTotal: 100, rowsDone: 50 });
+            await options.checkpoint({ nextRow: 50 });
+            return runner(job, options);
+        },
+    });
+    await before.init();
+    const job = await before.create({ file: 'big.xlsx' });
+    await waitFor(() => started.includes(job.id));
+    assert.equal(readJob(dir, job.id).status, 'running');
+
+    // The server stops here; a new service picks the job up from its file
+    const resumed = [];
+    const after = createJobService({
+        dir,
+        runner: async (resumedJob) => {
+            resumed.push({ checkpoint: resumedJob.checkpoint, rowsDone: resumedJob.progress.rowsDone });
+            return {};
+        },
+    });
+    await after.init();
+    await waitFor(() => after.get(job.id).status === 'completed');
+    assert.deepEqual(resumed, [{ checkpoint: { nextRow: 50 }, rowsDone: 50 }]);
+    assert.equal(readJob(dir, job.id).checkpoint, undefined);
+});
+
+test('a job cancelled before the server stopped is not resumed', async () => {
+    const dir = tmpDir();
+    fs.writeFileSync(path.join(dir, 'job-stale.json'), JSON.stringify({
+        id: 'job-stale',
+        status: 'running',
+        cancelRequested: true,
+        createdAt: new Date().toISOString(),
+        progress: { rowsTotal: 10, rowsDone: 5 },
+    }));
+    let runs = 0;
+    const jobs = createJobService({ dir, runner: async () => { runs++; } });
+    await jobs.init();
+    assert.equal(jobs.get('job-stale').status, 'cancelled');
+    assert.equal(runs, 0);
+});
+
+test('jobs of different owners run side by side, one per owner', async () => {
+    const { runner, started, release } = blockingRunner();
+    let currentOwner = 'alice';
+    const jobs = createJobService({ dir: tmpDir(), runner, owner: () => currentOwner, maxConcurrent: 2 });
+    await jobs.init();
+    const aliceFirst = await jobs.create({});
+    const aliceSecond = await jobs.create({});
+    currentOwner = 'bob';
+    const bob = await jobs.create({});
+
+    await waitFor(() => started.length === 2);
+    assert.deepEqual(started, [aliceFirst.id, bob.id]);
+    assert.equal(jobs.get(aliceSecond.id).status, 'queued');
+    assert.equal(jobs.get(bob.id).owner, 'bob');
+
+    release(aliceFirst.id, {});
+    await waitFor(() => started.includes(aliceSecond.id));
+    release(aliceSecond.id, {});
+    release(bob.id, {});
+    await waitFor(() => jobs.counts().completed === 3);
+});
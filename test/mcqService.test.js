@@ -0,0 +1,110 @@
+// test/mcqService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const stringSimilarity = require('string-similarity');
+const {
+    findMcqColumns,
+    extractMcq,
+    optionsSimilarity,
+    choicesKey,
+    groupByChoices,
+    sameChoiceCandidates,
+    combineMcqVerdict,
+} = require('../src/services/mcqService');
+
+const WEIGHTS = { stem: 0.5, options: 0.3, key: 0.2 };
+const SETTINGS = { weights: WEIGHTS, threshold: 0.85, stemThreshold: 0.5 };
+
+const stem = (similarityScore) => ({
+    similarityScore,
+    isSameQuestion: similarityScore >= 0.85,
+    reasons: [],
+    analysis: '',
+});
+
+const assertNear = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+const capitals = { options: ['Paris', 'Lyon', 'Nice', 'Lille'], answer: ['Paris'] };
+
+test('option columns and letter answer keys are read from the header row', () => {
+    const header = { A: 'Question', B: 'Option A', C: 'Option B', D: 'Option C', E: 'Correct Answer' };
+    const columns = findMcqColumns(header, { questionColumn: 'A' });
+    assert.deepEqual(columns, { options: ['B', 'C', 'D'], optionList: null, answer: 'E' });
+    assert.deepEqual(
+        extractMcq({ A: 'Capital of France?', B: 'Lyon', C: 'Paris', D: 'Nice', E: 'B' }, columns),
+        { options: ['Lyon', 'Paris', 'Nice'], answer: ['Paris'] },
+    );
+    assert.equal(findMcqColumns({ A: 'Question', B: 'Notes' }, { questionColumn: 'A' }), null);
+});
+
+test('a correct answer kept apart from its distractors is an option too', () => {
+    const columns = findMcqColumns({ A: 'Question', B: 'Distractors', C: 'Answer' }, { questionColumn: 'A' });
+    assert.deepEqual(
+        extractMcq({ A: 'Capital of France?', B: 'Lyon\nNice', C: 'Paris' }, columns),
+        { options: ['Lyon', 'Nice', 'Paris'], answer: ['Paris'] },
+    );
+});
+
+test('option overlap ignores order and case', () => {
+    assert.equal(optionsSimilarity(['Paris', 'Lyon'], ['lyon', 'PARIS']), 1);
+    assert.ok(optionsSimilarity(['Paris', 'Lyon'], ['Berlin', 'Munich']) < 0.3);
+});
+
+test('a reworded stem with the same choices and key is the same question', () => {
+    const verdict = combineMcqVerdict(stem(0.6), capitals, { ...capitals, options: [...capitals.options].reverse() }, SETTINGS);
+    assertNear(verdict.similarityScore, 0.8);
+    assert.equal(verdict.isSameQuestion, true);
+    assert.ok(verdict.reasons.includes('Same choices under a reworded stem'));
+});
+
+test('a stem judged different is not rescued by identical choices', () => {
+    const verdict = combineMcqVerdict(stem(0.3), capitals, capitals, SETTINGS);
+    assert.equal(verdict.isSameQuestion, false);
+});
+
+test('a stem scored below the prefilter but judged the same keeps identical choices a duplicate', () => {
+    const verdict = combineMcqVerdict({ ...stem(0.4), isSameQuestion: true }, capitals, capitals, SETTINGS);
+    assert.equal(verdict.isSameQuestion, true);
+    assert.ok(verdict.reasons.includes('Same choices under a reworded stem'));
+});
+
+test('questions offering the same choices are candidates whatever their stems', () => {
+    const stored = [
+        { id: 'q1', text: 'What is the capital of France?', mcq: { options: ['Lille', 'nice', 'Lyon', 'PARIS'], answer: ['Paris'] } },
+        { id: 'q2', text: 'Which French city hosts the Louvre?', mcq: { options: ['Paris', 'Lyon', 'Nice', 'Lille'], answer: ['Paris'] } },
+        { id: 'q3', text: 'What is the capital of Germany?', mcq: { options: ['Berlin', 'Bonn', 'Munich', 'Hamburg'], answer: ['Berlin'] } },
+        { id: 'q4', text: 'What is the capital of Italy?' },
+    ];
+    const stemText = 'Which city is the seat of the French government?';
+    // Too far apart for the stem prefilter (0.5), so only the choices can bring q1 in
+    assert.ok(stringSimilarity.compareTwoStrings(stemText.toLowerCase(), stored[0].text.toLowerCase()) < 0.5);
+
+    assert.equal(choicesKey(stored[0].mcq), choicesKey(capitals));
+    assert.equal(choicesKey(null), null);
+    const groups = groupByChoices(stored);
+    assert.equal(groups.size, 2);
+    assert.deepEqual(sameChoiceCandidates(groups, capitals, stemText).map(({ id }) => id).sort(), ['q1', 'q2']);
+    assert.deepEqual(sameChoiceCandidates(groups, capitals, 'Which French city hosts the Louvre museum?', { limit: 1 }).map(({ id }) => id), ['q2']);
+    assert.deepEqual(sameChoiceCandidates(groups, null, stemText), []);
+});
+
+test('the same stem with a different answer key is a different question', () => {
+    const verdict = combineMcqVerdict(stem(0.95), capitals, { ...capitals, answer: ['Lyon'] }, SETTINGS);
+    assert.equal(verdict.matchedOn.key, false);
+    assertNear(verdict.similarityScore, 0.775);
+    assert.equal(verdict.isSameQuestion, false);
+});
+
+test('without keys on both sides the key weight moves to the options', () => {
+    const unkeyed = { options: capitals.options, answer: [] };
+    const verdict = combineMcqVerdict(stem(0.9), capitals, unkeyed, SETTINGS);
+    assert.equal(verdict.matchedOn.key, null);
+    assertNear(verdict.similarityScore, 0.95);
+    assert.equal(verdict.isSameQuestion, true);
+});
+
+test('the stem threshold defaults to the similarity threshold', () => {
+    const verdict = combineMcqVerdict(stem(0.6), capitals, capitals, { weights: WEIGHTS, threshold: 0.85 });
+    assert.equal(verdict.isSameQuestion, false);
+    assert.equal(verdict.stemScore, 0.6);
+});
@@ -0,0 +1,93 @@
+// test/metrics.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetricsRegistry } = require('../src/services/metrics');
+const { createLogger } = require('../src/utils/logger');
+const { runWithContext } = require('../src/utils/requestContext');
+
+test('counters and gauges render in the Prometheus text format', () => {
+    const registry = createMetricsRegistry();
+    const requests = registry.counter({ name: 'http_requests_total', help: 'Requests', labelNames: ['route', 'status'] });
+    requests.inc({ route: '/check', status: 200 });
+    requests.inc({ route: '/check', status: 200 }, 2);
+    requests.inc({ route: 'say "hi"\n' });
+    registry.gauge({ name: 'jobs', help: 'Jobs by status', collect: () => [{ labels: { status: 'running' }, value: 1 }] });
+
+    assert.equal(registry.render(), [
+        '# HELP http_requests_total Requests',
+        '# TYPE http_requests_total counter',
+        'http_requests_total{route="/check",status="200"} 3',
+        'http_requests_total{route="say \\"hi\\"\\n",status=""} 1',
+        '# HELP jobs Jobs by status',
+        '# TYPE jobs gauge',
+        'jobs{status="running"} 1',
+        '',
+    ].join('\n'));
+});
+
+test('histograms count every observation into cumulative buckets', () => {
+    const registry = createMetricsRegistry();
+    const latency = registry.histogram({ name: 'judge_seconds', help: 'Judge latency', labelNames: ['provider'], buckets: [1, 0.1] });
+    latency.observe({ provider: 'mock' }, 0.05);
+    latency.observe({ provider: 'mock' }, 0.5);
+    latency.observe({ provider: 'mock' }, 3);
+
+    const lines = registry.render().split('\n');
+    assert.deepEqual(lines.slice(2, 7), [
+        'judge_seconds_bucket{provider="mock",le="0.1"} 1',
+        'judge_seconds_bucket{provider="mock",le="1"} 2',
+        'judge_seconds_bucket{provider="mock",le="+Inf"} 3',
+        'judge_seconds_sum{provider="mock"} 3.55',
+        'judge_seconds_count{provider="mock"} 3',
+    ]);
+});
+
+test('unknown labels and duplicate metric names are rejected', () => {
+    const registry = createMetricsRegistry();
+    const counter = registry.counter({ name: 'calls_total', help: 'Calls', labelNames: ['provider'] });
+    assert.throws(() => counter.inc({ model: 'x' }), /Unknown labels for calls_total: model/);
+    assert.throws(() => registry.gauge({ name: 'calls_total', help: 'Again' }), /already registered/);
+});
+
+const capture = (options) => {
+    const lines = [];
+    const logger = createLogger({ ...options, write: (line) => lines.push(JSON.parse(line)) });
+    return { logger, lines };
+};
+
+test('question text is redacted to a length and a stable hash', () => {
+    const { logger, lines } = capture({});
+    logger.info('Checked', { question: 'What is the capital of France?', candidate: 'What is the capital of France?', score: 0.9 });
+
+    const [entry] = lines;
+    assert.match(entry.question, /^\[redacted 30 chars #[0-9a-f]{12}\]$/);
+    assert.equal(entry.candidate, entry.question);
+    assert.equal(entry.score, 0.9);
+    assert.equal(JSON.stringify(entry).includes('France'), false);
+});
+
+test('text is logged as is when redaction is off', () => {
+    const { logger, lines } = capture({ redact: false });
+    logger.info('Checked', { question: 'What is the capital of France?' });
+    assert.equal(lines[0].question, 'What is the capital of France?');
+});
+
+test('entries carry the request context, levels filter and errors are expanded', () => {
+    const { logger, lines } = capture({ level: 'warn' });
+    logger.info('Hidden');
+    runWithContext({ requestId: 'req-1', clientId: 'alice', signal: new AbortController().signal }, () => {
+        const err = new Error('Judge unavailable');
+        err.status = 503;
+        logger.error('Judge failed', { error: err });
+    });
+
+    assert.equal(lines.length, 1);
+    const [entry] = lines;
+    assert.equal(entry.level, 'error');
+    assert.equal(entry.requestId, 'req-1');
+    assert.equal(entry.clientId, 'alice');
+    assert.equal(entry.signal, undefined);
+    assert.equal(entry.error.message, 'Judge unavailable');
+    assert.equal(entry.error.status, 503);
+    assert.throws(() => createLogger({ level: 'trace' }), /Unknown log level "trace"/);
+});
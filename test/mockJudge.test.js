@@ -0,0 +1,31 @@
+// test/mockJudge.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJudge } = require('../src/services/judges');
+
+const judge = createJudge({ provider: 'mock', similarityThreshold: 0.85 });
+
+test('the mock judge scores a pair offline from its texts', async () => {
+    const same = JSON.parse(await judge.generate({
+        prompt: 'ignored',
+        pairs: [{ question1: 'What is the capital of France?', question2: 'what is the capital of france?' }],
+    }));
+    assert.equal(same.similarityScore, 1);
+    assert.equal(same.isSameQuestion, true);
+    assert.equal(typeof same.analysis, 'string');
+
+    const different = JSON.parse(await judge.generate({
+        pairs: [{ question1: 'What is the capital of France?', question2: 'Who wrote Hamlet?' }],
+    }));
+    assert.equal(different.isSameQuestion, false);
+    assert.ok(different.similarityScore < 0.3);
+});
+
+test('the mock judge answers a ping without pairs', async () => {
+    assert.deepEqual(JSON.parse(await judge.generate({ prompt: 'ping' })), { status: 'ok', provider: 'mock' });
+    assert.equal(judge.model, 'mock-judge-v1');
+});
+
+test('an unknown provider is rejected', () => {
+    assert.throws(() => createJudge({ provider: 'claude' }), /Unknown judge provider "claude"/);
+});
@@ -0,0 +1,57 @@
+// test/normalizer.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createNormalizer } = require('../src/services/normalizer');
+
+const normalizer = createNormalizer();
+
+test('capitalised subjects are not masked unless a pronoun refers back to them', () => {
+    assert.notEqual(normalizer.lexical('What is Python used for?'), normalizer.lexical('What is Java used for?'));
+    assert.equal(normalizer.canonical('Paris is the capital of which country?'), 'Paris is the capital of which country?');
+    assert.equal(normalizer.canonical('Amazon sells what?'), 'Amazon sells what?');
+});
+
+test('scenarios that differ only in the persona normalize to the same text', () => {
+    const bella = 'Bella needs to deploy her app. How should she do it?';
+    const david = 'David needs to deploy his app. How should he do it?';
+    assert.equal(normalizer.canonical(bella), '<person> needs to deploy <person> app. How should <person> do it?');
+    assert.equal(normalizer.canonical(bella), normalizer.canonical(david));
+    assert.equal(normalizer.lexical(bella), normalizer.lexical(david));
+});
+
+test('pronouns are masked only after a masked name', () => {
+    assert.equal(normalizer.canonical('She said the plan is fine. Is it?'), 'She said the plan is fine. Is it?');
+});
+
+test('configured persona names are always masked', () => {
+    const withNames = createNormalizer({ personaNames: ['Priya'] });
+    assert.equal(withNames.canonical('Ask Priya about the rollout'), 'Ask <person> about the rollout');
+});
+
+test('numbers are masked but arithmetic operators survive', () => {
+    assert.equal(normalizer.lexical('What is 2+2?'), 'what <number> + <number>');
+    assert.equal(normalizer.lexical('What is 17-9?'), 'what <number> - <number>');
+    assert.notEqual(normalizer.lexical('What is 2+2?'), normalizer.lexical('What is 17-9?'));
+    assert.equal(normalizer.canonical('What is -5 squared?'), 'What is <number> squared?');
+    assert.equal(normalizer.canonical('Cost is 1,000.50 dollars'), 'Cost is <number> dollars');
+});
+
+test('acronyms expand from the glossary', () => {
+    const withGlossary = createNormalizer({ glossary: { AWS: 'Amazon Web Services' } });
+    assert.equal(withGlossary.canonical('Why use AWS for 50% of workloads?'), 'Why use Amazon Web Services for <number> of workloads?');
+});
+
+test('the fingerprint follows the configuration', () => {
+    assert.equal(createNormalizer().fingerprint, normalizer.fingerprint);
+    assert.notEqual(createNormalizer({ steps: ['unicode'] }).fingerprint, normalizer.fingerprint);
+    assert.throws(() => createNormalizer({ steps: ['bogus'] }), /Unknown normalization step\(s\): bogus/);
+});
+
+test('the judge sees masked personas but keeps the numbers', () => {
+    const bella = 'Bella needs to split 12 servers across 3 racks. How should she do it?';
+    const david = 'David needs to split 12 servers across 3 racks. How should he do it?';
+    assert.equal(normalizer.forJudge(bella), '<person> needs to split 12 servers across 3 racks. How should <person> do it?');
+    assert.equal(normalizer.forJudge(bella), normalizer.forJudge(david));
+    assert.notEqual(normalizer.forJudge('What is 2+2?'), normalizer.forJudge('What is 17-9?'));
+    assert.equal(normalizer.explain('What is 2+2?').judge, 'What is 2+2?');
+});
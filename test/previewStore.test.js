@@ -0,0 +1,103 @@
+// test/previewStore.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPreviewStore } = require('../src/services/previewStore');
+
+const tmpDirs = [];
+const tmpDir = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'previews-'));
+    tmpDirs.push(dir);
+    return dir;
+};
+test.after(() => tmpDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+const ROWS = [
+    { row: 0, question: 'What is the capital of France?', action: 'store' },
+    { row: 1, question: 'Capital of France?', action: 'skip' },
+    { row: 2, question: 'Which city is the capital of France?', action: 'review' },
+];
+
+const newStore = async (options = {}) => {
+    const store = createPreviewStore({ dir: tmpDir(), ttlMs: 60000, ...options });
+    await store.init();
+    return store;
+};
+
+// Records what was applied and returns one outcome per row
+const recorder = () => {
+    const applied = [];
+    const apply = async (preview, rows) => {
+        applied.push(...rows.map(({ row }) => row));
+        return rows.map(({ action }) => ({ outcome: action === 'store' ? 'stored' : 'queued' }));
+    };
+    return { applied, apply };
+};
+
+test('committing without a selection applies every committable row once', async () => {
+    const store = await newStore();
+    const preview = await store.create({ bankId: 'default', origin: 'check-batch', rows: ROWS });
+    assert.equal(preview.rows[0].committed, null);
+
+    const { applied, apply } = recorder();
+    const { committed } = await store.commit(preview.id, [], apply);
+    assert.deepEqual(applied, [0, 2]);
+    assert.deepEqual(committed.map((row) => row.committed.outcome), ['stored', 'queued']);
+
+    const again = await store.commit(preview.id, [], apply);
+    assert.deepEqual(again.committed, []);
+    assert.deepEqual(applied, [0, 2]);
+});
+
+test('selected rows are validated before anything is applied', async () => {
+    const store = await newStore();
+    const preview = await store.create({ bankId: 'default', origin: 'upload', rows: ROWS });
+    const { applied, apply } = recorder();
+
+    await assert.rejects(store.commit(preview.id, [7], apply), { status: 400, message: /Unknown preview rows: 7/ });
+    await assert.rejects(store.commit(preview.id, [1], apply), { status: 400, message: /duplicates/ });
+    await store.commit(preview.id, [0, 0], apply);
+    await assert.rejects(store.commit(preview.id, [0], apply), { status: 409 });
+    await assert.rejects(store.commit('preview-missing', [], apply), { status: 404 });
+    assert.deepEqual(applied, [0]);
+});
+
+test('a failed apply commits nothing', async () => {
+    const store = await newStore();
+    const preview = await store.create({ bankId: 'default', origin: 'upload', rows: ROWS });
+    await assert.rejects(store.commit(preview.id, [], async () => {
+        throw new Error('Store unavailable');
+    }), /Store unavailable/);
+    assert.equal(store.get(preview.id).rows.every((row) => row.committed === null), true);
+});
+
+test('previews expire and are pruned on the next start', async (t) => {
+    let now = Date.parse('2024-05-01T00:00:00Z');
+    t.mock.method(Date, 'now', () => now);
+    const dir = tmpDir();
+    const store = createPreviewStore({ dir, ttlMs: 60000 });
+    await store.init();
+    const preview = await store.create({ bankId: 'default', origin: 'upload', rows: ROWS });
+    assert.ok(store.get(preview.id));
+
+    now = Date.parse(preview.expiresAt);
+    assert.equal(store.get(preview.id), null);
+
+    const reloaded = createPreviewStore({ dir, ttlMs: 60000 });
+    await reloaded.init();
+    assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test('previews survive a restart until they expire', async () => {
+    const dir = tmpDir();
+    const store = createPreviewStore({ dir, ttlMs: 60000 });
+    await store.init();
+    const preview = await store.create({ bankId: 'physics', owner: 'api-key:alice', origin: 'upload', rows: ROWS });
+
+    const reloaded = createPreviewStore({ dir, ttlMs: 60000 });
+    await reloaded.init();
+    assert.equal(reloaded.get(preview.id).bankId, 'physics');
+    assert.equal(reloaded.get(preview.id).owner, 'api-key:alice');
+});
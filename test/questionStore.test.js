@@ -0,0 +1,60 @@
+// test/questionStore.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createQuestionStore } = require('../src/services/questionStore');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'question-store-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const question = (id, text) => ({ id, text, createdAt: new Date().toISOString() });
+
+test('the JSON store creates its file and keeps insertion order', async () => {
+    const filePath = path.join(tmpDir, 'ordered.json');
+    const store = createQuestionStore({ backend: 'json', filePath });
+    await store.init();
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { questions: [] });
+
+    await store.add(question('a', 'What is the capital of France?'));
+    await store.addMany([question('b', 'Who wrote Hamlet?'), question('c', 'What is 2+2?')]);
+    assert.deepEqual((await store.getAll()).map(({ id }) => id), ['a', 'b', 'c']);
+    assert.equal(await store.count(), 3);
+});
+
+test('concurrent writes to one file are not lost', async () => {
+    const filePath = path.join(tmpDir, 'concurrent.json');
+    const first = createQuestionStore({ backend: 'json', filePath });
+    // A second store for the same path shares the first one's lock
+    const second = createQuestionStore({ backend: 'json', filePath: path.join(tmpDir, '.', 'concurrent.json') });
+    assert.equal(first, second);
+    await first.init();
+
+    await Promise.all(Array.from({ length: 20 }, (_, i) => (i % 2 ? first : second).add(question(`q${i}`, `Question ${i}`))));
+    assert.equal(await first.count(), 20);
+});
+
+test('questions can be read, updated and removed by id', async () => {
+    const store = createQuestionStore({ backend: 'json', filePath: path.join(tmpDir, 'crud.json') });
+    await store.init();
+    await store.addMany([question('a', 'Old text'), question('b', 'Other')]);
+
+    assert.equal((await store.get('a')).text, 'Old text');
+    assert.equal(await store.get('missing'), null);
+    const updated = await store.update('a', { text: 'New text', id: 'ignored' });
+    assert.equal(updated.id, 'a');
+    assert.equal((await store.get('a')).text, 'New text');
+    assert.equal(await store.update('missing', { text: 'x' }), null);
+
+    assert.equal(await store.remove('a'), true);
+    assert.equal(await store.remove('a'), false);
+    assert.deepEqual((await store.getAll()).map(({ id }) => id), ['b']);
+
+    await store.reset();
+    assert.equal(await store.count(), 0);
+});
+
+test('an unknown backend is rejected', () => {
+    assert.throws(() => createQuestionStore({ backend: 'sqlite' }), /Unknown storage backend "sqlite"/);
+});
@@ -0,0 +1,105 @@
+// test/quotaService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createQuotaService } = require('../src/services/quotaService');
+const { createFairScheduler } = require('../src/services/fairScheduler');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+let files = 0;
+const newQuotas = (options) => createQuotaService({
+    requestsPerMinute: 0,
+    clientDailyBudget: 0,
+    bankDailyBudget: 0,
+    filePath: path.join(tmpDir, `usage-${files++}.json`),
+    ...options,
+});
+
+test('requests are limited per client within a one-minute window', (t) => {
+    let now = Date.parse('2024-05-01T12:00:00Z');
+    t.mock.method(Date, 'now', () => now);
+    const quotas = newQuotas({ requestsPerMinute: 2 });
+
+    quotas.takeRequest('alice');
+    quotas.takeRequest('alice');
+    quotas.takeRequest('bob');
+    now += 15000;
+    assert.throws(() => quotas.takeRequest('alice'), { status: 429, code: 'RATE_LIMITED', retryAfter: 45 });
+
+    now += 45000;
+    quotas.takeRequest('alice');
+});
+
+test('a limit of 0 means unlimited', () => {
+    const quotas = newQuotas({});
+    for (let i = 0; i < 100; i++) {
+        quotas.takeRequest('alice');
+        quotas.chargeJudgeCall({ clientId: 'alice', bankId: 'default' });
+    }
+    assert.deepEqual(quotas.stats().judgeCallsToday.clients, { alice: 100 });
+});
+
+test('judge calls are charged against client and bank budgets', () => {
+    const quotas = newQuotas({ clientDailyBudget: 3, bankDailyBudget: 4 });
+    quotas.chargeJudgeCall({ clientId: 'alice', bankId: 'physics' });
+    quotas.chargeJudgeCall({ clientId: 'alice', bankId: 'physics' });
+    quotas.chargeJudgeCall({ clientId: 'alice', bankId: 'physics' });
+    assert.throws(() => quotas.chargeJudgeCall({ clientId: 'alice', bankId: 'physics' }), { status: 429, code: 'BUDGET_EXHAUSTED' });
+
+    quotas.chargeJudgeCall({ clientId: 'bob', bankId: 'physics' });
+    assert.throws(() => quotas.assertJudgeBudget({ clientId: 'carol', bankId: 'physics' }), /bank "physics"/);
+    quotas.assertJudgeBudget({ clientId: 'carol', bankId: 'history' });
+    assert.deepEqual(quotas.stats().judgeCallsToday.banks, { physics: 4 });
+});
+
+test('usage survives a restart on the same day only', async (t) => {
+    let now = Date.parse('2024-05-01T12:00:00Z');
+    t.mock.method(Date, 'now', () => now);
+    const filePath = path.join(tmpDir, 'restart.json');
+    const before = createQuotaService({ clientDailyBudget: 2, filePath });
+    before.chargeJudgeCall({ clientId: 'alice' });
+    before.chargeJudgeCall({ clientId: 'alice' });
+    await before.close();
+
+    const sameDay = createQuotaService({ clientDailyBudget: 2, filePath });
+    await sameDay.init();
+    assert.throws(() => sameDay.assertJudgeBudget({ clientId: 'alice' }), { code: 'BUDGET_EXHAUSTED' });
+
+    now = Date.parse('2024-05-02T00:00:01Z');
+    const nextDay = createQuotaService({ clientDailyBudget: 2, filePath });
+    await nextDay.init();
+    nextDay.assertJudgeBudget({ clientId: 'alice' });
+});
+
+test('the fair scheduler takes turns between clients', async () => {
+    const order = [];
+    const limiter = { schedule: (fn) => Promise.resolve().then(fn) };
+    const scheduler = createFairScheduler({ limiter, maxInFlight: 1 });
+    const task = (name) => async () => {
+        order.push(name);
+        return name;
+    };
+
+    const backlog = ['a1', 'a2', 'a3', 'a4'].map((name) => scheduler.schedule('alice', task(name)));
+    const newcomer = scheduler.schedule('bob', task('b1'));
+    assert.deepEqual(scheduler.stats(), { inFlight: 1, queued: { alice: 3, bob: 1 } });
+
+    assert.equal(await newcomer, 'b1');
+    await Promise.all(backlog);
+    assert.deepEqual(order, ['a1', 'a2', 'b1', 'a3', 'a4']);
+});
+
+test('a failing task rejects only its own caller', async () => {
+    const limiter = { schedule: (fn) => Promise.resolve().then(fn) };
+    const scheduler = createFairScheduler({ limiter });
+    const failing = scheduler.schedule('alice', async () => {
+        throw new Error('Judge unavailable');
+    });
+    const next = scheduler.schedule('alice', async () => 'ok');
+    await assert.rejects(failing, /Judge unavailable/);
+    assert.equal(await next, 'ok');
+});
@@ -0,0 +1,95 @@
+// test/reportService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { buildAnnotatedRecords, writeAnnotatedReport } = require('../src/services/reportService');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// Rows as xlsx reads them with header "A": a hidden __rowNum__, 0 for the header row
+const row = (cells, rowNum) => Object.defineProperty(cells, '__rowNum__', { value: rowNum });
+
+const SHEETS = [{
+    name: 'Questions',
+    header: { A: 'Question', B: 'Topic' },
+    questionColumn: 'A',
+    rows: [
+        row({ A: 'What is the capital city of France?', B: 'Geography' }, 1),
+        row({ A: 'Who wrote Hamlet?', B: 'Literature' }, 2),
+        row({ A: 'Which city is the capital of France?', B: 'Geography' }, 3),
+        row({ A: 'Name the capital of France.' }, 4),
+    ],
+}];
+
+const RESULTS = [
+    { source: { sheet: 'Questions', row: 2 }, isDuplicate: false, similarityScore: 0.1, similarityExplanation: [] },
+    { source: { sheet: 'Questions', row: 3 }, isDuplicate: false, similarityScore: 0.2, similarityExplanation: [] },
+    {
+        source: { sheet: 'Questions', row: 4 },
+        isDuplicate: true,
+        mostSimilarQuestion: 'What is the capital city of France?',
+        mostSimilarQuestionId: 'q-1',
+        similarityScore: 0.93,
+        similarityExplanation: ['Same capital', { common_words: ['capital', 'france'] }],
+    },
+    { source: { sheet: 'Questions', row: 5 }, isDuplicate: false, reviewStatus: 'pending', similarityScore: 0.7 },
+];
+
+const STATS = { totalQuestions: 4, duplicates: 1, judge: { calls: 3 } };
+
+test('every source row is annotated and coloured by outcome', async () => {
+    const filePath = path.join(tmpDir, 'annotated.xlsx');
+    await writeAnnotatedReport({ sheets: SHEETS, results: RESULTS, stats: STATS, filePath });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    assert.deepEqual(workbook.worksheets.map((sheet) => sheet.name), ['Questions', 'Duplicates', 'Summary']);
+
+    const annotated = workbook.getWorksheet('Questions');
+    const header = annotated.getRow(1).values.slice(1);
+    assert.deepEqual(header.slice(0, 4), ['Question', 'Topic', 'Is Duplicate', 'Matched Question']);
+    const duplicateRow = annotated.getRow(4);
+    assert.equal(duplicateRow.getCell(3).value, 'Yes');
+    assert.equal(duplicateRow.getCell(5).value, 'q-1');
+    assert.equal(duplicateRow.getCell(1).fill.fgColor.argb, 'FFF4CCCC');
+    assert.equal(annotated.getRow(5).getCell(1).fill.fgColor.argb, 'FFFFF2CC');
+    assert.equal(annotated.getRow(2).getCell(1).fill.fgColor.argb, 'FFD9EAD3');
+
+    const duplicates = workbook.getWorksheet('Duplicates');
+    assert.equal(duplicates.rowCount, 2);
+    assert.deepEqual(duplicates.getRow(2).values.slice(1, 4), ['Questions', 4, 'Which city is the capital of France?']);
+    assert.equal(duplicates.getRow(2).getCell(10).value, 'Same capital; {"common_words":["capital","france"]}');
+
+    const summary = workbook.getWorksheet('Summary');
+    assert.deepEqual(summary.getRow(4).values.slice(1), ['judge', '{"calls":3}']);
+});
+
+test('flat records carry provenance and the annotations', () => {
+    const records = buildAnnotatedRecords({ sheets: SHEETS, results: RESULTS });
+    assert.equal(records.length, 4);
+    assert.equal(records[2].Question, 'Which city is the capital of France?');
+    assert.equal(records[2]['Source Sheet'], 'Questions');
+    assert.equal(records[2]['Source Row'], 4);
+    assert.equal(records[2]['Is Duplicate'], 'Yes');
+    assert.equal(records[3]['Review Status'], 'pending');
+});
+
+test('report sheets never reuse an input sheet name', async () => {
+    const filePath = path.join(tmpDir, 'clashing.xlsx');
+    const sheets = [
+        { ...SHEETS[0], name: 'summary' },
+        { ...SHEETS[0], name: 'Duplicates', rows: [] },
+    ];
+    const results = RESULTS.map((result) => ({ ...result, source: { ...result.source, sheet: 'summary' } }));
+    await writeAnnotatedReport({ sheets, results, stats: STATS, filePath });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    assert.deepEqual(workbook.worksheets.map((sheet) => sheet.name), ['summary', 'Duplicates', 'Duplicates (2)', 'Summary (2)']);
+    assert.equal(workbook.getWorksheet('Duplicates (2)').rowCount, 2);
+    assert.equal(workbook.getWorksheet('summary').getRow(4).getCell(3).value, 'Yes');
+});
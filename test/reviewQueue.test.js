@@ -0,0 +1,80 @@
+// test/reviewQueue.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createReviewQueue } = require('../src/services/reviewQueue');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-queue-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+let files = 0;
+const newQueue = async () => {
+    const queue = createReviewQueue({ filePath: path.join(tmpDir, `queue-${files++}.json`) });
+    await queue.init();
+    return queue;
+};
+
+const pair = (question, candidate, bankId) => ({
+    question,
+    candidate: { id: 'stored-1', text: candidate, source: 'store' },
+    similarityScore: 0.8,
+    reasons: ['Close wording'],
+    analysis: '',
+    rowData: { Question: question },
+    ...(bankId ? { bankId } : {}),
+});
+
+test('queued pairs are pending and listed oldest first', async () => {
+    const queue = await newQueue();
+    const [first] = await queue.add([pair('Capital of France?', 'What is the capital of France?')]);
+    await queue.add([pair('Who wrote Hamlet?', 'Hamlet was written by?')]);
+
+    assert.equal(first.status, 'pending');
+    assert.match(first.id, /^review-/);
+    assert.deepEqual(queue.list().map((review) => review.question), ['Capital of France?', 'Who wrote Hamlet?']);
+    assert.deepEqual(queue.counts(), { pending: 2, accepted: 0, rejected: 0 });
+    assert.deepEqual(await queue.add([]), []);
+});
+
+test('a decision is recorded once, with what apply returned', async () => {
+    const queue = await newQueue();
+    const [review] = await queue.add([pair('Capital of France?', 'What is the capital of France?')]);
+
+    const decided = await queue.decide(review.id, { status: 'rejected', reviewer: 'dana' }, async () => ({ storedId: 'q-9' }));
+    assert.equal(decided.status, 'rejected');
+    assert.equal(decided.decision.reviewer, 'dana');
+    assert.equal(decided.decision.storedId, 'q-9');
+
+    await assert.rejects(queue.decide(review.id, { status: 'accepted' }), { status: 409 });
+    await assert.rejects(queue.decide('review-missing', { status: 'accepted' }), { status: 404 });
+});
+
+test('a failing apply leaves the review pending', async () => {
+    const queue = await newQueue();
+    const [review] = await queue.add([pair('Capital of France?', 'What is the capital of France?')]);
+    await assert.rejects(queue.decide(review.id, { status: 'rejected' }, async () => {
+        throw new Error('Store unavailable');
+    }), /Store unavailable/);
+    assert.equal(queue.get(review.id).status, 'pending');
+});
+
+test('reviews survive a restart and can be filtered by status and bank', async () => {
+    const filePath = path.join(tmpDir, 'persisted.json');
+    const before = createReviewQueue({ filePath });
+    await before.init();
+    const [legacy, physics] = await before.add([pair('Old?', 'Older?'), pair('Force?', 'Newton?', 'physics')]);
+    await before.decide(physics.id, { status: 'accepted' });
+    await before.attachWorkbook([legacy.id], 'Uploads/cleaned.xlsx');
+
+    const after = createReviewQueue({ filePath });
+    await after.init();
+    assert.equal(after.get(legacy.id).cleanedFilePath, 'Uploads/cleaned.xlsx');
+    assert.deepEqual(after.list({ status: 'pending' }).map(({ id }) => id), [legacy.id]);
+    assert.deepEqual(after.list({ bankId: 'default', defaultBankId: 'default' }).map(({ id }) => id), [legacy.id]);
+    assert.deepEqual(after.list({ bankId: 'physics', defaultBankId: 'default' }).map(({ id }) => id), [physics.id]);
+
+    await after.clear((review) => review.status === 'accepted');
+    assert.deepEqual(after.counts(), { pending: 1, accepted: 0, rejected: 0 });
+});
@@ -0,0 +1,79 @@
+// test/similarityCache.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSimilarityCache, pairKey } = require('../src/services/similarityCache');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'similarity-cache-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('pair keys ignore order, case and spacing but not the version', () => {
+    const key = pairKey('What is  2+2?', 'Who wrote Hamlet?', 'v1');
+    assert.equal(pairKey('who wrote hamlet?', 'What is 2+2?', 'v1'), key);
+    assert.notEqual(pairKey('What is 2+2?', 'Who wrote Hamlet?', 'v2'), key);
+    assert.notEqual(pairKey('What is 2+3?', 'Who wrote Hamlet?', 'v1'), key);
+});
+
+test('verdicts are found whichever way round the pair is asked', async () => {
+    const cache = createSimilarityCache({ version: 'v1' });
+    await cache.set('A?', 'B?', { similarityScore: 0.9 });
+    assert.deepEqual(await cache.get('B?', 'A?'), { similarityScore: 0.9 });
+    assert.equal(await cache.get('A?', 'C?'), undefined);
+
+    const stats = await cache.stats();
+    assert.deepEqual({ hits: stats.hits, misses: stats.misses, sets: stats.sets, hitRate: stats.hitRate }, {
+        hits: 1, misses: 1, sets: 1, hitRate: 0.5,
+    });
+});
+
+test('the least recently used entry is evicted first', async () => {
+    const cache = createSimilarityCache({ version: 'v1', maxEntries: 2 });
+    await cache.set('a', 'x', 1);
+    await cache.set('b', 'x', 2);
+    await cache.get('a', 'x');
+    await cache.set('c', 'x', 3);
+
+    assert.equal(await cache.get('b', 'x'), undefined);
+    assert.equal(await cache.get('a', 'x'), 1);
+    assert.equal(await cache.get('c', 'x'), 3);
+    const stats = await cache.stats();
+    assert.equal(stats.evictions, 1);
+    assert.equal(stats.size, 2);
+});
+
+test('entries expire after the TTL', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const cache = createSimilarityCache({ version: 'v1', ttlMs: 60000 });
+    await cache.set('a', 'b', 'verdict');
+
+    now += 59999;
+    assert.equal(await cache.get('a', 'b'), 'verdict');
+    now += 1;
+    assert.equal(await cache.get('a', 'b'), undefined);
+    assert.equal((await cache.stats()).expired, 1);
+});
+
+test('the disk backend survives a restart and drops expired entries on load', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const filePath = path.join(tmpDir, 'cache.json');
+    const before = createSimilarityCache({ backend: 'disk', filePath, version: 'v1', ttlMs: 60000 });
+    await before.init();
+    await before.set('a', 'b', 'old');
+    now += 30000;
+    await before.set('c', 'd', 'new');
+    await before.flush();
+
+    now += 40000;
+    const after = createSimilarityCache({ backend: 'disk', filePath, version: 'v1', ttlMs: 60000 });
+    await after.init();
+    assert.equal(await after.get('a', 'b'), undefined);
+    assert.equal(await after.get('d', 'c'), 'new');
+});
+
+test('an unknown backend is rejected', () => {
+    assert.throws(() => createSimilarityCache({ backend: 'memcached' }), /Unknown cache backend "memcached"/);
+});
@@ -0,0 +1,133 @@
+// test/storedQuestionRoutes.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const createStoredQuestionRoutes = require('../src/routes/storedQuestionRoutes');
+const { createQuestionStore } = require('../src/services/questionStore');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stored-questions-'));
+
+const QUESTIONS = [
+    { id: 'q1', text: 'What is the capital of France?', createdAt: '2024-05-01T09:00:00.000Z', tags: ['geo'] },
+    { id: 'q2', text: 'Qui a écrit Hamlet ?', language: 'fr', translation: 'Who wrote Hamlet?', createdAt: '2024-05-02T09:00:00.000Z', tags: [] },
+    { id: 'q3', text: 'What is 2+2?', createdAt: '2024-05-03T09:00:00.000Z', tags: ['math', 'geo'] },
+];
+
+const calls = { indexed: [], removed: [], searches: [] };
+const bank = {
+    id: 'default',
+    questionStore: createQuestionStore({ backend: 'json', filePath: path.join(tmpDir, 'questions.json') }),
+    candidateIndex: { remove: async (ids) => calls.removed.push(...ids) },
+};
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    await bank.questionStore.init();
+    await bank.questionStore.addMany(QUESTIONS);
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.auth = { role: req.get('x-role') || 'author' };
+        next();
+    });
+    app.use(createStoredQuestionRoutes({
+        resolveBank: async () => bank,
+        indexQuestions: async (_, questions) => calls.indexed.push(...questions.map(({ id }) => id)),
+        languageFields: async () => ({ language: 'en' }),
+        searchQuestions: async (_, text, options) => {
+            calls.searches.push({ text, ...options });
+            return [{ id: 'q1', similarityScore: 0.9 }];
+        },
+    }));
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const request = async (method, url, body, headers = {}) => {
+    const res = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: body ? { ...headers, 'content-type': 'application/json' } : headers,
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json() };
+};
+
+test('questions are listed by page, date range and tag', async () => {
+    const page = await request('GET', '/questions?pageSize=2&page=2');
+    assert.equal(page.body.total, 3);
+    assert.equal(page.body.totalPages, 2);
+    assert.deepEqual(page.body.questions.map(({ id }) => id), ['q3']);
+
+    const range = await request('GET', '/questions?from=2024-05-02T00:00:00Z&to=2024-05-03T00:00:00Z');
+    assert.deepEqual(range.body.questions.map(({ id }) => id), ['q2']);
+
+    const days = await request('GET', '/questions?from=2024-05-02&to=2024-05-03');
+    assert.deepEqual(days.body.questions.map(({ id }) => id), ['q2', 'q3']);
+
+    const tagged = await request('GET', '/questions?tag=geo');
+    assert.deepEqual(tagged.body.questions.map(({ id }) => id), ['q1', 'q3']);
+
+    assert.equal((await request('GET', '/questions?page=0')).status, 400);
+    assert.equal((await request('GET', '/questions?from=yesterday')).status, 400);
+});
+
+test('search passes the query, limit and judge flag through', async () => {
+    const found = await request('GET', '/questions/search?q=capital%20of%20France&limit=500&judge=false');
+    assert.equal(found.body.count, 1);
+    assert.deepEqual(calls.searches.at(-1), { text: 'capital of France', limit: 50, judge: false });
+    assert.equal((await request('GET', '/questions/search?q=%20')).status, 400);
+});
+
+test('search judges for authors by default and never for viewers', async () => {
+    await request('GET', '/questions/search?q=Hamlet');
+    assert.equal(calls.searches.at(-1).judge, true);
+
+    const viewer = { 'x-role': 'viewer' };
+    await request('GET', '/questions/search?q=Hamlet', undefined, viewer);
+    assert.equal(calls.searches.at(-1).judge, false);
+
+    const count = calls.searches.length;
+    const denied = await request('GET', '/questions/search?q=Hamlet&judge=true', undefined, viewer);
+    assert.equal(denied.status, 403);
+    assert.equal(calls.searches.length, count);
+});
+
+test('editing the text re-indexes the question', async () => {
+    const edited = await request('PATCH', '/questions/q2', { text: '  Who is the author of Hamlet?  ', tags: ['lit', 'lit'] });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.question.text, 'Who is the author of Hamlet?');
+    assert.deepEqual(edited.body.question.tags, ['lit']);
+    assert.equal(edited.body.question.language, 'en');
+    assert.equal(edited.body.question.translation, null);
+    assert.deepEqual(calls.indexed, ['q2']);
+
+    assert.equal((await request('PATCH', '/questions/q2', { id: 'q9' })).status, 400);
+    assert.equal((await request('PATCH', '/questions/q2', {})).status, 400);
+    assert.equal((await request('PATCH', '/questions/missing', { text: 'x' })).status, 404);
+});
+
+test('tags are added and removed one by one', async () => {
+    const added = await request('POST', '/questions/q1/tags', { tags: ['capitals', 'geo'] });
+    assert.deepEqual(added.body.question.tags, ['geo', 'capitals']);
+    const removed = await request('DELETE', '/questions/q1/tags/geo');
+    assert.deepEqual(removed.body.question.tags, ['capitals']);
+    assert.equal((await request('POST', '/questions/q1/tags', { tags: [''] })).status, 400);
+});
+
+test('deleting a question drops it from the store and the index', async () => {
+    assert.equal((await request('DELETE', '/questions/q3')).status, 200);
+    assert.equal((await request('GET', '/questions/q3')).status, 404);
+    assert.deepEqual(calls.removed, ['q3']);
+});
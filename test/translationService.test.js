@@ -0,0 +1,60 @@
+// test/translationService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { translateWords, createTranslator } = require('../src/services/translationService');
+const { createMockJudge } = require('../src/services/judges/mockJudge');
+
+test('the mock glossary translates word for word and keeps unknown words', () => {
+    assert.equal(translateWords('Quelle est la capitale de la France ?', 'fr'), 'what is the capital of the France ?');
+    assert.equal(translateWords('Mji mkuu wa Ufaransa ni upi?', 'sw'), 'city capital of france is which?');
+    assert.equal(translateWords('Wer schrieb Faust 1808?', 'de'), 'Wer schrieb Faust 1808?');
+});
+
+test('the mock translator caches and skips the target language', async () => {
+    const translator = createTranslator({ provider: 'mock' });
+    assert.equal(await translator.translate('What is the capital of France?', 'en'), 'What is the capital of France?');
+    const first = await translator.translate('Qui a écrit Hamlet ?', 'fr');
+    assert.equal(first, 'who a wrote Hamlet ?');
+    assert.equal(await translator.translate('Qui a écrit Hamlet ?', 'fr'), first);
+    assert.deepEqual(translator.stats(), {
+        provider: 'mock', targetLanguage: 'en', cached: 1, translated: 1, cacheHits: 1, failures: 0,
+    });
+});
+
+test('a glossary file extends the built-in glossary', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'glossary-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const glossaryFile = path.join(dir, 'glossary.json');
+    fs.writeFileSync(glossaryFile, JSON.stringify({ de: { Wer: 'who', schrieb: 'wrote' } }));
+
+    const translator = createTranslator({ provider: 'mock', glossaryFile });
+    await translator.init();
+    assert.equal(await translator.translate('Wer schrieb Faust?', 'de'), 'who wrote Faust?');
+    assert.equal(await translator.translate('Qui a écrit Hamlet ?', 'fr'), 'who a wrote Hamlet ?');
+});
+
+test('the judge translator works offline against the mock judge', async () => {
+    const judge = createMockJudge();
+    const requests = [];
+    const translator = createTranslator({
+        provider: 'judge',
+        generate: (request, context) => {
+            requests.push({ request, context });
+            return judge.generate(request);
+        },
+    });
+    assert.equal(await translator.translate('Quelle est la capitale de la France ?', 'fr', { bankId: 'b1' }), 'what is the capital of the France ?');
+    assert.deepEqual(requests[0].request.translation, { text: 'Quelle est la capitale de la France ?', from: 'fr', to: 'en' });
+    assert.deepEqual(requests[0].context, { bankId: 'b1' });
+});
+
+test('bad judge translations are counted as failures', async () => {
+    const translator = createTranslator({ provider: 'judge', generate: async () => '{"text": "missing field"}' });
+    await assert.rejects(translator.translate('Bonjour', 'fr'), { code: 'INVALID_TRANSLATION' });
+    assert.equal(translator.stats().failures, 1);
+    assert.throws(() => createTranslator({ provider: 'judge' }), /needs a generate function/);
+    assert.throws(() => createTranslator({ provider: 'deepl' }), /Unknown translator "deepl"/);
+});
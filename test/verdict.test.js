@@ -0,0 +1,91 @@
+// test/verdict.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseVerdict, parseBatchVerdicts, validateVerdict } = require('../src/services/judges/verdict');
+const { createMockJudge } = require('../src/services/judges/mockJudge');
+
+const verdict = (overrides = {}) => ({
+    similarityScore: 0.9,
+    isSameQuestion: true,
+    reasons: ['Same topic'],
+    analysis: 'Both ask for the capital of France',
+    ...overrides,
+});
+
+test('parseVerdict accepts a complete verdict, fenced or not', () => {
+    assert.deepEqual(parseVerdict(JSON.stringify(verdict())), verdict());
+    assert.deepEqual(parseVerdict(`\`\`\`json\n${JSON.stringify(verdict())}\n\`\`\``), verdict());
+});
+
+test('parseVerdict rejects text that is not JSON', () => {
+    assert.throws(() => parseVerdict('The questions are the same.'), { code: 'INVALID_VERDICT' });
+});
+
+test('parseVerdict rejects missing, unexpected and mistyped fields', () => {
+    const { analysis, ...incomplete } = verdict();
+    assert.throws(() => parseVerdict(JSON.stringify(incomplete)), (err) => {
+        assert.equal(err.code, 'INVALID_VERDICT');
+        assert.deepEqual(err.validationErrors, ['missing field "analysis"']);
+        return true;
+    });
+    assert.deepEqual(validateVerdict(verdict({ confidence: 'high' })), ['unexpected field "confidence"']);
+    assert.deepEqual(validateVerdict(verdict({ similarityScore: '0.9' })), ['similarityScore must be a number']);
+    assert.deepEqual(validateVerdict(verdict({ similarityScore: 1.2 })), ['similarityScore must be between 0 and 1']);
+    assert.deepEqual(validateVerdict(verdict({ isSameQuestion: 'yes' })), ['isSameQuestion must be a boolean']);
+    assert.deepEqual(validateVerdict(verdict({ reasons: 'Same topic' })), ['reasons must be an array of strings']);
+    assert.deepEqual(validateVerdict([verdict()]), ['verdict must be a JSON object']);
+});
+
+test('parseBatchVerdicts keys valid entries by candidate and reports the rest', () => {
+    const text = JSON.stringify({
+        verdicts: [
+            { candidate: 2, ...verdict({ similarityScore: 0.2, isSameQuestion: false }) },
+            { candidate: 1, ...verdict() },
+            { candidate: 1, ...verdict() },
+            { candidate: 4, ...verdict() },
+        ],
+    });
+    const { verdicts, errors } = parseBatchVerdicts(text, 3);
+
+    assert.deepEqual([...verdicts.keys()].sort(), [0, 1]);
+    assert.equal(verdicts.get(1).similarityScore, 0.2);
+    assert.deepEqual(errors, [
+        'entry 2: duplicate verdict for candidate 1',
+        'entry 3: candidate must be an integer from 1 to 3',
+        'candidate 3: no verdict returned',
+    ]);
+});
+
+test('parseBatchVerdicts rejects a response without a verdicts array', () => {
+    assert.throws(() => parseBatchVerdicts(JSON.stringify(verdict()), 1), { code: 'INVALID_VERDICT' });
+});
+
+test('the mock judge answers offline with verdicts that pass validation', async () => {
+    const judge = createMockJudge({ threshold: 0.85 });
+    const same = parseVerdict(await judge.generate({
+        pairs: [{ question1: 'What is the capital of France?', question2: 'What is the capital of France?' }],
+    }));
+    assert.equal(same.isSameQuestion, true);
+    assert.equal(same.similarityScore, 1);
+
+    const { verdicts, errors } = parseBatchVerdicts(await judge.generate({
+        batch: true,
+        pairs: [
+            { question1: 'What is the capital of France?', question2: 'What is the capital of France?' },
+            { question1: 'What is the capital of France?', question2: 'Who wrote Hamlet?' },
+        ],
+    }), 2);
+    assert.deepEqual(errors, []);
+    assert.equal(verdicts.get(0).isSameQuestion, true);
+    assert.equal(verdicts.get(1).isSameQuestion, false);
+});
+
+test('the mock judge honours an aborted signal', async () => {
+    const judge = createMockJudge();
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(
+        judge.generate({ pairs: [{ question1: 'a', question2: 'b' }], signal: controller.signal }),
+        { name: 'AbortError' },
+    );
+});